@@ -6,8 +6,9 @@
  * 1. Creates dist/extension/ directory
  * 2. Copies built JS from dist/build/
  * 3. Copies CSS from src/ (unchanged)
- * 4. Copies icons, README, LICENSE
- * 5. Generates manifest.json with updated asset paths
+ * 4. Copies extension pages, their modules and the service worker from src/ (unchanged)
+ * 5. Copies icons, README, LICENSE
+ * 6. Generates manifest.json with updated asset paths
  *
  * Usage: bun scripts/build-extension.mjs
  */
@@ -31,6 +32,18 @@ const ICONS_DEST = join(EXTENSION_DIR, 'icons');
 // Source manifest (in repo root)
 const MANIFEST_SRC = join(PROJECT_ROOT, 'manifest.json');
 
+// Extension pages, the ES modules they load and the service worker, copied from src/ unchanged
+const EXTENSION_PAGE_FILES = [
+  'options.html',
+  'options.js',
+  'options.css',
+  'popup.html',
+  'popup.js',
+  'popup.css',
+  'settings.js',
+  'background.js',
+];
+
 function log(msg) {
   console.log(`[build-extension] ${msg}`);
 }
@@ -94,6 +107,16 @@ function main() {
   }
   copyFileSync(cssSrc, join(ASSETS_DIR, 'contentScript.css'));
 
+  // Copy extension pages (options page, popup, shared modules, service worker)
+  log('Copying extension pages...');
+  for (const file of EXTENSION_PAGE_FILES) {
+    const pageSrc = join(PROJECT_ROOT, 'src', file);
+    if (!existsSync(pageSrc)) {
+      error(`Extension page file not found at ${pageSrc}`);
+    }
+    copyFileSync(pageSrc, join(ASSETS_DIR, file));
+  }
+
   // Copy icons
   log('Copying icons...');
   if (!existsSync(ICONS_SRC)) {
@@ -121,15 +144,30 @@ function main() {
 
   const manifest = JSON.parse(readFileSync(MANIFEST_SRC, 'utf-8'));
 
-  // Update content_scripts paths to point to assets/
+  // Update content_scripts paths to point to assets/ (the root manifest loads the bundle from dist/build/)
   if (manifest.content_scripts && manifest.content_scripts.length > 0) {
     manifest.content_scripts = manifest.content_scripts.map(cs => ({
       ...cs,
-      js: cs.js ? cs.js.map(path => path.replace(/^src\//, 'assets/')) : cs.js,
+      js: cs.js ? cs.js.map(path => path.replace(/^(src|dist\/build)\//, 'assets/')) : cs.js,
       css: cs.css ? cs.css.map(path => path.replace(/^src\//, 'assets/')) : cs.css,
     }));
   }
 
+  // Update options page path to point to assets/
+  if (manifest.options_ui && manifest.options_ui.page) {
+    manifest.options_ui.page = manifest.options_ui.page.replace(/^src\//, 'assets/');
+  }
+
+  // Update popup path to point to assets/
+  if (manifest.action && manifest.action.default_popup) {
+    manifest.action.default_popup = manifest.action.default_popup.replace(/^src\//, 'assets/');
+  }
+
+  // Update service worker path to point to assets/
+  if (manifest.background && manifest.background.service_worker) {
+    manifest.background.service_worker = manifest.background.service_worker.replace(/^src\//, 'assets/');
+  }
+
   // Write generated manifest
   const manifestDest = join(EXTENSION_DIR, 'manifest.json');
   writeFileSync(manifestDest, JSON.stringify(manifest, null, 2) + '\n');
@@ -143,6 +181,10 @@ function main() {
   log('  manifest.json');
   log('  assets/contentScript.js');
   log('  assets/contentScript.css');
+  log('  assets/options.{html,js,css}');
+  log('  assets/popup.{html,js,css}');
+  log('  assets/settings.js');
+  log('  assets/background.js');
   log('  icons/icon{16,32,48,128}.png');
   log('  README.md');
   log('  LICENSE');
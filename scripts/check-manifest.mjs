@@ -0,0 +1,69 @@
+#!/usr/bin/env bun
+/**
+ * Manifest Load Check
+ *
+ * Checks that an extension directory would load unpacked:
+ * 1. Every file its manifest.json references exists
+ * 2. Every content script parses as a classic script (Chrome doesn't load
+ *    content scripts as ES modules, so a stray import is a SyntaxError)
+ *
+ * Usage: bun scripts/check-manifest.mjs [extension-dir]   (default: repo root)
+ *
+ * Run after `bun run build`: the root manifest loads the bundled content script.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join, resolve } from 'path';
+import { Script } from 'vm';
+
+const EXTENSION_DIR = resolve(process.argv[2] || '.');
+
+function log(msg) {
+  console.log(`[check-manifest] ${msg}`);
+}
+
+function main() {
+  const manifestPath = join(EXTENSION_DIR, 'manifest.json');
+  if (!existsSync(manifestPath)) {
+    console.error(`[check-manifest] ERROR: manifest.json not found in ${EXTENSION_DIR}`);
+    process.exit(1);
+  }
+  const manifest = JSON.parse(readFileSync(manifestPath, 'utf-8'));
+
+  const referenced = [
+    ...Object.values(manifest.icons || {}),
+    manifest.background?.service_worker,
+    manifest.action?.default_popup,
+    manifest.options_ui?.page,
+    ...(manifest.content_scripts || []).flatMap(cs => [...(cs.js || []), ...(cs.css || [])]),
+  ].filter(Boolean);
+
+  const errors = [];
+  for (const path of referenced) {
+    if (!existsSync(join(EXTENSION_DIR, path))) {
+      errors.push(`${path} is referenced by manifest.json but doesn't exist`);
+    }
+  }
+
+  for (const path of (manifest.content_scripts || []).flatMap(cs => cs.js || [])) {
+    const file = join(EXTENSION_DIR, path);
+    if (!existsSync(file)) continue;
+    try {
+      new Script(readFileSync(file, 'utf-8'), { filename: path });
+    } catch (error) {
+      errors.push(`${path} doesn't parse as a classic content script: ${error.message}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    console.error(`[check-manifest] ERROR: ${manifestPath} would not load:`);
+    for (const error of errors) {
+      console.error(`  - ${error}`);
+    }
+    process.exit(1);
+  }
+
+  log(`✓ ${manifestPath} loads (${referenced.length} files checked)`);
+}
+
+main();
@@ -0,0 +1,316 @@
+/**
+ * Sidekiq Queue Kill Switch - Background Service Worker
+ *
+ * Owns the timed-pause timer. The content script stores one record per
+ * Sidekiq instance under `sqks:timedPause:<instance>`; this worker mirrors
+ * each record into a chrome.alarms alarm with the same name, so the timer
+ * survives tab reloads, closed tabs and service worker restarts.
+ *
+ * When an alarm fires, the worker asks an open queues tab for that instance
+ * to run the auto-unpause (the convergence engine lives in the content
+ * script), opening the page in a background tab if none is open. Queues tabs
+ * register themselves on load: without the `tabs` permission tab URLs aren't
+ * readable here.
+ *
+ * It also routes keyboard shortcuts (manifest `commands`) to the content
+ * script on the active tab, and keeps a per-tab toolbar badge with the
+ * number of paused queues reported by that tab's content script.
+ *
+ * Extra Sidekiq mount paths/origins from the options page are registered
+ * as a dynamic content script (chrome.scripting) alongside the manifest one.
+ *
+ * Finished runs reported by a content script become desktop notifications;
+ * clicking one focuses the tab the run ended in.
+ */
+
+import { MOUNTS_STORAGE_KEY, mountMatchPatterns } from './settings.js';
+
+// Must match TIMED_PAUSE_STORAGE_PREFIX and TIMED_PAUSE_CLAIM_MS in contentScript.js
+const TIMED_PAUSE_STORAGE_PREFIX = 'sqks:timedPause:';
+const TIMED_PAUSE_CLAIM_MS = 2 * 60 * 1000;
+
+// Queues tabs that registered for each timed-pause key, oldest first (chrome.storage.session,
+// so the list survives service worker restarts but not the browser's)
+const TIMED_PAUSE_TABS_KEY = 'sqks:timedPauseTabs';
+const LOG_PREFIX = '[SQKS]';
+
+// Dynamic content script for custom Sidekiq mounts
+const MOUNTS_SCRIPT_ID = 'sqks-custom-mounts';
+
+// Run notifications carry the tab they came from: `sqks-run:<tabId>:<timestamp>`
+const RUN_NOTIFICATION_PREFIX = 'sqks-run:';
+
+// Badge colors: every queue paused vs. some paused
+const BADGE_COLOR_ALL_PAUSED = '#dc3545';
+const BADGE_COLOR_SOME_PAUSED = '#fd7e14';
+
+/**
+ * Create, move or clear the alarm for one timed-pause record
+ */
+async function syncTimedPauseAlarm(key, record) {
+  // Failed records wait for the user
+  if (!record || record.failed) {
+    await chrome.alarms.clear(key);
+    return;
+  }
+  // A claimed record is being run by a tab; if that tab dies mid-run, the claim goes
+  // stale and this alarm hands the auto-unpause to another tab
+  const when = record.claimedAt ? record.claimedAt + TIMED_PAUSE_CLAIM_MS + 1000 : record.endsAt;
+  await chrome.alarms.create(key, { when: Math.max(when, Date.now() + 1000) });
+}
+
+/**
+ * Re-create alarms for every stored record (after browser start or extension update)
+ */
+async function syncAllTimedPauseAlarms() {
+  const stored = await chrome.storage.local.get(null);
+  for (const [key, record] of Object.entries(stored)) {
+    if (key.startsWith(TIMED_PAUSE_STORAGE_PREFIX)) {
+      await syncTimedPauseAlarm(key, record);
+    }
+  }
+}
+
+let timedPauseTabsWrite = Promise.resolve();
+
+/**
+ * Edit the registered timed-pause tabs (writes are serialized: messages arrive concurrently)
+ *
+ * @param {Function} change - Mutates the `{ [key]: tabId[] }` map in place
+ */
+function updateTimedPauseTabs(change) {
+  timedPauseTabsWrite = timedPauseTabsWrite.then(async () => {
+    const stored = await chrome.storage.session.get(TIMED_PAUSE_TABS_KEY);
+    const tabsByKey = stored[TIMED_PAUSE_TABS_KEY] || {};
+    change(tabsByKey);
+    await chrome.storage.session.set({ [TIMED_PAUSE_TABS_KEY]: tabsByKey });
+  }).catch((error) => {
+    console.error(`${LOG_PREFIX} Failed to update timed-pause tabs:`, error);
+  });
+  return timedPauseTabsWrite;
+}
+
+function registerTimedPauseTab(key, tabId) {
+  return updateTimedPauseTabs((tabsByKey) => {
+    tabsByKey[key] = [...(tabsByKey[key] || []).filter(id => id !== tabId), tabId];
+  });
+}
+
+/**
+ * Forget a tab for one timed-pause key, or for all of them (the tab closed)
+ */
+function unregisterTimedPauseTab(tabId, key = null) {
+  return updateTimedPauseTabs((tabsByKey) => {
+    for (const k of key ? [key] : Object.keys(tabsByKey)) {
+      const ids = (tabsByKey[k] || []).filter(id => id !== tabId);
+      if (ids.length > 0) {
+        tabsByKey[k] = ids;
+      } else {
+        delete tabsByKey[k];
+      }
+    }
+  });
+}
+
+/**
+ * Hand a due timed pause to a queues tab for its instance
+ * Tries the registered tabs, most recent first; a tab that doesn't accept (closed,
+ * navigated away, reloaded into another instance) is dropped from the list.
+ */
+async function dispatchTimedPause(key) {
+  const stored = await chrome.storage.local.get(key);
+  const record = stored[key];
+  if (!record || record.failed) return;
+
+  await timedPauseTabsWrite;
+  const registered = await chrome.storage.session.get(TIMED_PAUSE_TABS_KEY);
+  const tabIds = ((registered[TIMED_PAUSE_TABS_KEY] || {})[key] || []).slice().reverse();
+  for (const tabId of tabIds) {
+    try {
+      const reply = await chrome.tabs.sendMessage(tabId, { type: 'sqks:timedPauseDue', key });
+      if (reply && reply.accepted) return;
+    } catch (error) {
+      // No content script listening (tab closed or navigated away)
+    }
+    console.log(`${LOG_PREFIX} Timed pause due, tab ${tabId} no longer shows the queues page`);
+    await unregisterTimedPauseTab(tabId, key);
+  }
+
+  console.log(`${LOG_PREFIX} Timed pause due, opening ${record.pageUrl}`);
+  try {
+    await chrome.tabs.create({ url: record.pageUrl, active: false });
+  } catch (error) {
+    console.error(`${LOG_PREFIX} Timed pause: failed to open ${record.pageUrl}, retrying shortly:`, error);
+    await chrome.alarms.create(key, { when: Date.now() + 5000 });
+  }
+}
+
+/**
+ * Forward a keyboard shortcut to the content script on the active tab
+ * The content script runs it through the normal confirmation flow.
+ */
+async function dispatchCommand(command, tab) {
+  if (!tab || !tab.id) return;
+  try {
+    await chrome.tabs.sendMessage(tab.id, { type: 'sqks:command', command });
+  } catch (error) {
+    // Not a Sidekiq queues tab (no content script listening)
+    console.log(`${LOG_PREFIX} Shortcut "${command}" ignored: active tab is not a Sidekiq queues page`);
+  }
+}
+
+/**
+ * Show a tab's paused queue count on the toolbar icon (empty when nothing is paused)
+ */
+async function updateBadge(tabId, instance, counts) {
+  const allPaused = counts.total > 0 && counts.paused === counts.total;
+  await chrome.action.setBadgeText({ tabId, text: counts.paused > 0 ? String(counts.paused) : '' });
+  await chrome.action.setBadgeBackgroundColor({
+    tabId,
+    color: allPaused ? BADGE_COLOR_ALL_PAUSED : BADGE_COLOR_SOME_PAUSED,
+  });
+  await chrome.action.setTitle({
+    tabId,
+    title: `Sidekiq Queue Kill Switch\n${instance}: ${counts.paused} of ${counts.total} queue(s) paused${allPaused ? ' (ALL)' : ''}`,
+  });
+}
+
+/**
+ * Show a desktop notification for a run that ended in a tab
+ * Successful runs close themselves; incomplete, aborted and failed ones stay until dismissed.
+ */
+async function notifyRunFinished(tab, message) {
+  const iconPath = chrome.runtime.getManifest().icons['128'];
+  await chrome.notifications.create(`${RUN_NOTIFICATION_PREFIX}${tab.id}:${Date.now()}`, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL(iconPath),
+    title: message.title,
+    message: message.message,
+    contextMessage: message.instance,
+    priority: message.kind === 'success' ? 0 : 2,
+    requireInteraction: message.kind !== 'success',
+  });
+}
+
+/**
+ * Bring a run notification's tab (and its window) to the front
+ */
+async function focusNotificationTab(notificationId) {
+  const tabId = Number(notificationId.slice(RUN_NOTIFICATION_PREFIX.length).split(':')[0]);
+  await chrome.notifications.clear(notificationId);
+  try {
+    const tab = await chrome.tabs.update(tabId, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+  } catch (error) {
+    console.log(`${LOG_PREFIX} Run notification clicked, but tab ${tabId} is gone:`, error.message);
+  }
+}
+
+/**
+ * Register the content script for the custom mounts stored in sync storage
+ * Uses the manifest's js/css paths, so it injects exactly the same build.
+ */
+async function syncMountContentScripts() {
+  try {
+    const stored = await chrome.storage.sync.get(MOUNTS_STORAGE_KEY);
+    const matches = mountMatchPatterns(stored[MOUNTS_STORAGE_KEY]);
+
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [MOUNTS_SCRIPT_ID] });
+    if (registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [MOUNTS_SCRIPT_ID] });
+    }
+    if (matches.length === 0) return;
+
+    const [manifestScript] = chrome.runtime.getManifest().content_scripts;
+    await chrome.scripting.registerContentScripts([{
+      id: MOUNTS_SCRIPT_ID,
+      matches,
+      // The manifest entry already covers the default mount
+      excludeMatches: manifestScript.matches,
+      js: manifestScript.js,
+      css: manifestScript.css,
+      runAt: manifestScript.run_at,
+      persistAcrossSessions: true,
+    }]);
+    console.log(`${LOG_PREFIX} Registered content script for custom mounts:`, matches);
+  } catch (error) {
+    console.error(`${LOG_PREFIX} Failed to register custom mounts (missing host permission?):`, error);
+  }
+}
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  dispatchCommand(command, tab);
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message && message.type === 'sqks:queueCounts' && sender.tab) {
+    updateBadge(sender.tab.id, message.instance, message.counts).catch((error) => {
+      // The tab closed or navigated before the badge could be set
+      console.log(`${LOG_PREFIX} Badge update skipped for tab ${sender.tab.id}:`, error.message);
+    });
+    return false;
+  }
+  if (message && message.type === 'sqks:registerTimedPauseTab' && sender.tab
+      && typeof message.key === 'string' && message.key.startsWith(TIMED_PAUSE_STORAGE_PREFIX)) {
+    registerTimedPauseTab(message.key, sender.tab.id);
+    return false;
+  }
+  if (message && message.type === 'sqks:runFinished' && sender.tab) {
+    notifyRunFinished(sender.tab, message).catch((error) => {
+      console.error(`${LOG_PREFIX} Failed to show run notification:`, error);
+    });
+    return false;
+  }
+  if (message && message.type === 'sqks:getShortcuts') {
+    chrome.commands.getAll().then((commands) => {
+      sendResponse(Object.fromEntries(commands.map(c => [c.name, c.shortcut])));
+    });
+    return true;  // Respond asynchronously
+  }
+  return false;
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes[MOUNTS_STORAGE_KEY]) {
+    syncMountContentScripts();
+  }
+  if (area !== 'local') return;
+  for (const [key, change] of Object.entries(changes)) {
+    if (key.startsWith(TIMED_PAUSE_STORAGE_PREFIX)) {
+      syncTimedPauseAlarm(key, change.newValue).catch((error) => {
+        console.error(`${LOG_PREFIX} Failed to sync timed-pause alarm ${key}:`, error);
+      });
+    }
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  unregisterTimedPauseTab(tabId);
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId.startsWith(RUN_NOTIFICATION_PREFIX)) {
+    focusNotificationTab(notificationId);
+  }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name.startsWith(TIMED_PAUSE_STORAGE_PREFIX)) {
+    dispatchTimedPause(alarm.name).catch((error) => {
+      console.error(`${LOG_PREFIX} Failed to dispatch timed pause ${alarm.name}:`, error);
+    });
+  }
+});
+
+const restoreTimedPauseAlarms = () => {
+  syncAllTimedPauseAlarms().catch((error) => {
+    console.error(`${LOG_PREFIX} Failed to restore timed-pause alarms:`, error);
+  });
+};
+
+chrome.runtime.onStartup.addListener(restoreTimedPauseAlarms);
+chrome.runtime.onInstalled.addListener(restoreTimedPauseAlarms);
+chrome.runtime.onInstalled.addListener(syncMountContentScripts);
+// Host access can be granted or revoked outside the options page (chrome://extensions)
+chrome.permissions.onAdded.addListener(syncMountContentScripts);
+chrome.permissions.onRemoved.addListener(syncMountContentScripts);
@@ -14,34 +14,163 @@
  * - Never uses hidden form inputs as header token source (they may be masked/per-form)
  * - On first 403 per pass: refresh tokens once and retry
  * - Subsequent 403s in same pass: deferred to next convergence pass
+ *
+ * Engine tuning (passes, delays, timeouts, debug level) comes from the options
+ * page via chrome.storage.sync - see settings.js.
  */
 
+import {
+  SETTINGS_STORAGE_KEY,
+  DEFAULT_SETTINGS,
+  resolveSettings,
+} from './settings.js';
+
 (function() {
   'use strict';
 
   const LOG_PREFIX = '[SQKS]';
-  const DEBUG_LEVEL = 2; // 0=quiet, 1=summary/errors, 2=verbose per-queue
-  const MAX_PASSES = 5;           // Maximum convergence attempts
   const MAX_TOKEN_REFRESH_PER_PASS = 1;
 
+  // Tunable engine settings - start from defaults, replaced by applySettings()
+  let DEBUG_LEVEL = DEFAULT_SETTINGS.debugLevel; // 0=quiet, 1=summary/errors, 2=verbose per-queue
+  let MAX_PASSES = DEFAULT_SETTINGS.maxPasses;   // Maximum convergence attempts
+
   // Minimal delays for rate limiting (no CSRF on server)
-  const POST_DELAY_MS = 100;          // Delay between individual POST requests
-  const PASS_DELAY_MS = 500;          // Delay between passes for state to settle
-  const LIVE_DOM_RECHECK_INTERVAL = 4;
+  let POST_DELAY_MS = DEFAULT_SETTINGS.postDelayMs;   // Delay between individual POST requests (per worker)
+  let SUBMIT_CONCURRENCY = DEFAULT_SETTINGS.submitConcurrency;  // Parallel submission workers per pass
+  let PASS_DELAY_MS = DEFAULT_SETTINGS.passDelayMs;   // Delay between passes for state to settle
+  let LIVE_DOM_RECHECK_INTERVAL = DEFAULT_SETTINGS.liveDomRecheckInterval;
   const ENABLE_LIVE_DOM_RECHECK = true;
   const REQUEST_CREDENTIALS = 'include';
   const REQUEST_REDIRECT = 'manual';
   const INLINE_SCRIPT_SCAN_LIMIT = 200000;
   const TOKEN_PATTERN = /^[A-Za-z0-9+/_=-]{20,200}$/;
   const NATIVE_FORM_ACTIONS = ['pause', 'unpause'];
-  const IFRAME_SUBMIT_TIMEOUT_MS = 6000;
+  let IFRAME_SUBMIT_TIMEOUT_MS = DEFAULT_SETTINGS.iframeSubmitTimeoutMs;
+  let HISTORY_MAX_RUNS = DEFAULT_SETTINGS.historyMaxRuns;
+  let HISTORY_MAX_AGE_DAYS = DEFAULT_SETTINGS.historyMaxAgeDays;
+  let TABLE_POLL_SECONDS = DEFAULT_SETTINGS.tablePollSeconds;  // Background table refresh; 0 = off
 
-  // Performance optimization flags
-  const ENABLE_RUN_LOGS = DEBUG_LEVEL >= 2;  // Gate expensive run log collection
-  const PERF_ENABLED = DEBUG_LEVEL >= 1;     // Enable performance instrumentation
+  // Performance optimization flags (derived from DEBUG_LEVEL in applySettings)
+  let ENABLE_RUN_LOGS = DEBUG_LEVEL >= 2;  // Gate expensive run log collection
+  let PERF_ENABLED = DEBUG_LEVEL >= 1;     // Enable performance instrumentation
 
   // Allowed action types - explicit allowlist for safety
   const ALLOWED_ACTIONS = ['pause', 'unpause'];
+
+  // Run types: pause/unpause submit one action; restore mixes both per queue
+  const RUN_LABELS = {
+    pause: { verb: 'Pause', progress: 'Pausing', done: 'paused' },
+    unpause: { verb: 'Unpause', progress: 'Unpausing', done: 'unpaused' },
+    restore: { verb: 'Restore', progress: 'Restoring', done: 'restored' },
+  };
+  const RUN_STOPPED_REASON = 'Stopped by user';
+
+  // Queue state snapshots (chrome.storage.local, per Sidekiq instance)
+  // Automatic "Before …" snapshots are capped on their own; snapshots saved by hand are never evicted
+  const SNAPSHOT_STORAGE_PREFIX = 'sqks:snapshots:';
+  const MAX_AUTO_SNAPSHOTS = 20;
+
+  // Protected queues (chrome.storage.sync, host -> pattern expression)
+  const PROTECTED_STORAGE_KEY = 'sqks:protected';
+
+  // Run history (chrome.storage.local, per Sidekiq instance); per-run caps keep entries bounded
+  const HISTORY_STORAGE_PREFIX = 'sqks:history:';
+  const HISTORY_MAX_LOGS_PER_RUN = 500;
+  const HISTORY_MAX_SUBMISSIONS_PER_RUN = 1000;
+  // storage.local holds 10 MB for everything (snapshots, checkpoints, other instances too)
+  const HISTORY_MAX_BYTES = 2 * 1024 * 1024;
+  const HISTORY_WRITE_FAILED_MESSAGE = 'Not saved to run history (extension storage full?)';
+
+  // Timed pause (chrome.storage.local, per Sidekiq instance); background.js turns each
+  // record into a chrome.alarms alarm of the same name and wakes a queues tab when it fires
+  const TIMED_PAUSE_STORAGE_PREFIX = 'sqks:timedPause:';
+  const TIMED_PAUSE_DURATIONS_MIN = [5, 15, 30, 60, 120];
+  const TIMED_PAUSE_EXTEND_MIN = 15;
+  const TIMED_PAUSE_CLAIM_MS = 2 * 60 * 1000;    // Another tab's claim on the auto-unpause is honored this long (background.js re-arms after it)
+  const TIMED_PAUSE_RETRY_MS = 60 * 1000;        // Delay before retrying an incomplete auto-unpause
+  const TIMED_PAUSE_MAX_ATTEMPTS = 3;
+
+  // Run checkpoint (chrome.storage.local, per Sidekiq instance): rewritten after every
+  // submission and removed when the run ends, so one left behind marks an interrupted run
+  const CHECKPOINT_STORAGE_PREFIX = 'sqks:checkpoint:';
+  const CHECKPOINT_ACTIVE_MS = 15 * 1000;               // Updated more recently: likely still running in another tab
+  const CHECKPOINT_MAX_AGE_MS = 24 * 60 * 60 * 1000;    // Older ones are discarded instead of offered
+  const CHECKPOINT_INTERRUPTED_REASON = 'Interrupted (page reload, crash or navigation)';
+
+  // Run annotations (chrome.storage.local, per Sidekiq instance): the last kill switch run
+  // that changed each queue, with the reason and incident/ticket ID given when it started
+  const ANNOTATION_STORAGE_PREFIX = 'sqks:annotations:';
+  const RUN_REASON_MAX_LENGTH = 500;
+  const RUN_INCIDENT_MAX_LENGTH = 100;
+
+  // Cross-tab exclusion (per Sidekiq instance): a progress record (chrome.storage.local) that a
+  // run claims before it starts and keeps current for the instance's other tabs. Page scripts
+  // can't write extension storage, so the record is the authority. The Web Lock taken alongside
+  // is only a hint: page scripts share the origin and can request (and hold) it too.
+  const RUN_LOCK_PREFIX = 'sqks:run:';
+  const RUN_PROGRESS_STORAGE_PREFIX = 'sqks:runProgress:';
+  const RUN_HEARTBEAT_MS = 5000;                      // Progress is re-written at least this often
+  const REMOTE_RUN_STALE_MS = 3 * RUN_HEARTBEAT_MS;   // Not heard from this long: that tab is gone
+  const RUN_CLAIM_SETTLE_MS = 250;                    // Claims written this close together: the last one wins
+  const RUN_ELSEWHERE_MESSAGE = 'Run in progress in another tab';
+
+  // Server pushback (429/503): honor Retry-After or back off, and adapt the POST delay
+  // between POST_DELAY_MS and THROTTLE_MAX_DELAY_MS from pushback and response latency
+  const THROTTLE_STATUSES = [429, 503];
+  const THROTTLE_TEXT_PATTERN = /too many requests|retry later|rate limit|service (temporarily )?unavailable/i;
+  const THROTTLE_DEFAULT_WAIT_MS = 5000;    // Without Retry-After (native submits never see headers)
+  const THROTTLE_MAX_WAIT_MS = 60 * 1000;   // Cap on a single Retry-After wait
+  const THROTTLE_MAX_DELAY_MS = 5000;       // Cap on the adapted POST delay
+  const THROTTLE_RETRIES_PER_PASS = 3;      // Per queue; further pushback defers it to the next pass
+  const THROTTLE_SLOW_FACTOR = 3;           // Slower than this multiple of the fastest response...
+  const THROTTLE_SLOW_MIN_MS = 1000;        // ...and than this counts as a slow response
+  const THROTTLE_MAX_EVENTS = 50;           // Throttle events kept in results.stats
+
+  // Latency heat for queue rows and the overview strip: the first level whose
+  // threshold (seconds) a queue's latency reaches; lower latencies get no color
+  const LATENCY_HEAT_LEVELS = [
+    { level: 'critical', minSeconds: 300 },
+    { level: 'high', minSeconds: 60 },
+    { level: 'elevated', minSeconds: 10 },
+  ];
+
+  // Desktop notification when a run ends (shown by background.js): remaining queues listed
+  const NOTIFICATION_MAX_QUEUES = 5;
+
+  // Confirmation preview: unpausing a queue this large (jobs) or this far behind releases a backlog
+  const RELEASED_BACKLOG_MIN_SIZE = 1000;
+  const RELEASED_BACKLOG_MIN_LATENCY_SECONDS = 300;
+
+  // Threshold expressions (see compileThresholds): unit multipliers per metric
+  const THRESHOLD_UNITS = {
+    latency: { '': 1, s: 1, m: 60, min: 60, h: 3600 },
+    size: { '': 1, k: 1000, m: 1000000 },
+  };
+
+  // DOM selector profiles per Sidekiq Web UI generation, newest first. One profile is
+  // chosen per page (see detectSelectorProfile) and every DOM lookup goes through it.
+  // `{action}` in actionButton is replaced with 'pause' or 'unpause'.
+  const COMMON_SELECTORS = {
+    queuesTable: 'table.queues',
+    actionButton: 'input[type="submit"][name="{action}"], button[name="{action}"]',
+    tokenInput: 'input[name="authenticity_token"]',
+    csrfMeta: 'meta[name="csrf-token"]',
+    csrfParamMeta: 'meta[name="csrf-param"]',
+    // Size/latency columns: found by header text, else by position among the page's own cells
+    sizeHeader: /^size$/i,
+    latencyHeader: /^latency$/i,
+    sizeColumn: 1,
+    latencyColumn: 2,
+  };
+  const SELECTOR_PROFILES = [
+    // 8.x: redesigned layout, page title in <section><header><h1>
+    { id: 'sidekiq-8', label: 'Sidekiq 8', major: 8, ...COMMON_SELECTORS, headerContainer: 'section > header', heading: 'h1' },
+    // 7.x: <div class="header-container"><h1>
+    { id: 'sidekiq-7', label: 'Sidekiq 7', major: 7, ...COMMON_SELECTORS, headerContainer: '.header-container', heading: 'h1' },
+    // 6.x: bare <h3> above the table, no header container
+    { id: 'sidekiq-6', label: 'Sidekiq 6', major: 6, ...COMMON_SELECTORS, headerContainer: null, heading: 'h3' },
+  ];
   const LOGIN_MARKERS = [
     'type="password"',
     'name="password"',
@@ -52,7 +181,19 @@
   ];
 
   let bulkActionInProgress = false;
+  let runAbortController = null;   // Aborted by the Stop button; read by the submission paths
+  let runCheckpoint = null;        // Checkpoint of the run in progress in this tab (see saveRunCheckpoint)
+  let ownCheckpointRunId = null;   // Latest run checkpointed by this tab (its storage events are not interruptions)
+  let checkpointWrite = Promise.resolve();
+  let runLockRelease = null;       // Releases this tab's Web Lock hint (see acquireRunLock)
+  let runClaimId = null;           // This tab's claim on the instance's progress record (see acquireRunLock)
+  let runProgressText = '';        // Latest status text of this tab's run, for the progress record
+  let runProgressWrite = Promise.resolve();
+  let runProgressQueued = false;   // A progress write is queued; later updates ride along with it
+  let runHeartbeatTimer = null;
+  let remoteRun = null;            // Latest progress of a run in another tab, null when none
   let currentRun = null;
+  let lastRun = null;   // Most recent finished run in this tab (unsanitized, for diagnostics)
 
   // Performance tracking
   let perfMetrics = null;
@@ -60,11 +201,102 @@
   // Form index cache for O(1) lookups (rebuilt per pass)
   let formIndexCache = null;
 
+  // Latest queues page fetched with a table (see fetchQueuesPageDocument), for in-place table updates
+  let lastFetchedPage = null;
+  let tablePollTimer = null;
+  let tablePollEnabled = false;   // Set once the controls are injected
+
+  // Settings changed mid-run are held here and applied once the run ends
+  let pendingSettings = null;
+
+  // Row selection, keyed on actionPathKey so it survives re-fetched documents
+  const selectedQueueKeys = new Set();
+  // Updates the selection count shown on the Pause/Unpause Selected buttons (see injectSelectionColumn)
+  let selectionChangeHandler = null;
+
+  // Protected queue matcher for this host (never paused); null when none configured
+  let protectedQueueMatcher = null;
+  let protectedPatterns = [];
+  let protectedListUnreadable = false;   // The stored list couldn't be read: runs that pause are blocked
+
+  // Run annotations for this instance (see loadAnnotations), mirrored across tabs
+  let queueAnnotations = {};
+
+  // Selector profile detection for this page (lazy; see getSelectorProfile)
+  let selectorProfileInfo = null;
+
+  /**
+   * Apply resolved engine settings
+   * Deferred while a bulk run is in progress so a run never changes pace mid-way
+   */
+  function applySettings(settings) {
+    if (bulkActionInProgress) {
+      pendingSettings = settings;
+      return;
+    }
+    pendingSettings = null;
+    DEBUG_LEVEL = settings.debugLevel;
+    MAX_PASSES = settings.maxPasses;
+    POST_DELAY_MS = settings.postDelayMs;
+    SUBMIT_CONCURRENCY = settings.submitConcurrency;
+    PASS_DELAY_MS = settings.passDelayMs;
+    LIVE_DOM_RECHECK_INTERVAL = settings.liveDomRecheckInterval;
+    IFRAME_SUBMIT_TIMEOUT_MS = settings.iframeSubmitTimeoutMs;
+    HISTORY_MAX_RUNS = settings.historyMaxRuns;
+    HISTORY_MAX_AGE_DAYS = settings.historyMaxAgeDays;
+    TABLE_POLL_SECONDS = settings.tablePollSeconds;
+    ENABLE_RUN_LOGS = DEBUG_LEVEL >= 2;
+    PERF_ENABLED = DEBUG_LEVEL >= 1;
+    scheduleTablePoll();
+  }
+
+  /**
+   * Load settings for this host from chrome.storage.sync and apply them
+   */
+  async function loadSettings() {
+    const stored = await storageGet(SETTINGS_STORAGE_KEY, null, 'sync');
+    const settings = resolveSettings(stored, window.location.host);
+    applySettings(settings);
+    log(`Settings: maxPasses=${MAX_PASSES} postDelay=${POST_DELAY_MS}ms concurrency=${SUBMIT_CONCURRENCY} passDelay=${PASS_DELAY_MS}ms recheck=${LIVE_DOM_RECHECK_INTERVAL} iframeTimeout=${IFRAME_SUBMIT_TIMEOUT_MS}ms tablePoll=${TABLE_POLL_SECONDS}s debug=${DEBUG_LEVEL}`);
+  }
+
   /**
    * Sleep helper
    */
-  function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  function sleep(ms, signal) {
+    return new Promise(resolve => {
+      if (signal && signal.aborted) {
+        resolve();
+        return;
+      }
+      const done = () => {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', done);
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+      if (signal) signal.addEventListener('abort', done, { once: true });
+    });
+  }
+
+  /**
+   * Signal of the in-progress run (undefined outside runs)
+   */
+  function getRunSignal() {
+    return runAbortController ? runAbortController.signal : undefined;
+  }
+
+  /**
+   * Ask the in-progress run to stop: convergeQueues finishes between submissions,
+   * and pending POST fetches, iframe loads and delays are cut short
+   *
+   * @returns {boolean} false when no run is in progress (or it is already stopping)
+   */
+  function stopBulkAction() {
+    if (!runAbortController || runAbortController.signal.aborted) return false;
+    log('Stop requested, finishing current submissions...');
+    runAbortController.abort();
+    return true;
   }
 
   /**
@@ -99,7 +331,7 @@
   }
 
   function perfLogSummary() {
-    if (!PERF_ENABLED || !perfMetrics) return;
+    if (!PERF_ENABLED || !perfMetrics) return null;
     const total = performance.now() - perfMetrics.runStart;
     console.log(LOG_PREFIX, `[PERF] Total: ${total.toFixed(1)}ms`,
       `| Parse: ${perfMetrics.parseTime.toFixed(1)}ms`,
@@ -109,44 +341,55 @@
       `| IndexHits: ${perfMetrics.formIndexHits}`,
       `| IndexMisses: ${perfMetrics.formIndexMisses}`
     );
+    const summary = { ...perfMetrics, totalTime: total };
+    delete summary.runStart;
     perfMetrics = null;
+    return summary;
   }
 
   /**
    * Build form index from a document for O(1) lookups
-   * Maps actionPathKey -> { form, token, pauseBtn, unpauseBtn }
+   * Maps actionPathKey -> { actionPathKey, form, row, token, pauseBtn, unpauseBtn, queueName, action,
+   * size, latencySeconds } (size/latency are null when the row has no parsable value)
    */
   function buildFormIndex(doc) {
     const start = PERF_ENABLED ? performance.now() : 0;
     const index = new Map();
-    const table = doc.querySelector('table.queues');
+    const table = findQueuesTable(doc);
     if (!table) {
       perfMark('indexBuildTime', PERF_ENABLED ? performance.now() - start : 0);
       return index;
     }
 
     perfIncr('domQueries');
-    const forms = table.querySelectorAll('form[action*="/sidekiq/queues/"]');
+    const forms = getQueueForms(table);
+    const metricColumns = findMetricColumns(table);
 
     for (const form of forms) {
       const action = form.getAttribute('action');
       if (!action) continue;
 
       const actionPathKey = normalizeActionPathKey(action);
-      const tokenInput = form.querySelector('input[name="authenticity_token"]');
+      const tokenInput = form.querySelector(getSelectorProfile().tokenInput);
       const token = tokenInput ? tokenInput.value : null;
 
       // Find both pause and unpause buttons for this form
-      const pauseBtn = form.querySelector('input[type="submit"][name="pause"], button[name="pause"]');
-      const unpauseBtn = form.querySelector('input[type="submit"][name="unpause"], button[name="unpause"]');
+      const pauseBtn = form.querySelector(getActionButtonSelector('pause'));
+      const unpauseBtn = form.querySelector(getActionButtonSelector('unpause'));
+      const row = form.closest('tr');
+      const { size, latencySeconds } = parseQueueMetrics(row, metricColumns);
 
       index.set(actionPathKey, {
+        actionPathKey,
         form,
+        row,
         token,
         pauseBtn,
         unpauseBtn,
         queueName: getQueueNameFromAction(action),
         action,
+        size,
+        latencySeconds,
       });
     }
 
@@ -171,6 +414,70 @@
     formIndexCache = null;
   }
 
+  /**
+   * A row's own cells, without the ones the extension adds (selection checkbox)
+   */
+  function getPageCells(row) {
+    return Array.from(row.cells).filter(cell => !cell.classList.contains('sqks-select-cell'));
+  }
+
+  /**
+   * Locate the size and latency columns of a queues table
+   *
+   * @returns {{ size: number, latency: number }} Indexes into getPageCells()
+   */
+  function findMetricColumns(table) {
+    const profile = getSelectorProfile();
+    const headerRow = table.querySelector('thead tr') || table.querySelector('thead');
+    const headers = headerRow
+      ? Array.from(headerRow.querySelectorAll('th, td')).filter(cell => !cell.classList.contains('sqks-select-cell'))
+      : [];
+    const findHeader = (pattern) => headers.findIndex(th => pattern.test(th.textContent.trim()));
+    const size = findHeader(profile.sizeHeader);
+    const latency = findHeader(profile.latencyHeader);
+    return {
+      size: size === -1 ? profile.sizeColumn : size,
+      latency: latency === -1 ? profile.latencyColumn : latency,
+    };
+  }
+
+  /**
+   * Parse a number shown with thousands separators ("12,345" or "12,345.6")
+   */
+  function parseDisplayedNumber(text) {
+    const match = /\d[\d,]*(\.\d+)?/.exec(text || '');
+    return match ? Number(match[0].replace(/,/g, '')) : null;
+  }
+
+  /**
+   * Parse a latency cell to seconds: plain seconds ("12.5", Sidekiq's format) or
+   * a number with a unit ("350 ms", "5 min", "2 hours"); trailing text is ignored
+   */
+  function parseLatencySeconds(text) {
+    const match = /(\d[\d,]*(?:\.\d+)?)\s*(ms|s|sec|seconds?|m|mins?|minutes?|h|hours?|d|days?)?\b/i.exec(text || '');
+    if (!match) return null;
+    const value = Number(match[1].replace(/,/g, ''));
+    const unit = (match[2] || 's').toLowerCase();
+    const multiplier = unit === 'ms' ? 0.001 : { s: 1, m: 60, h: 3600, d: 86400 }[unit[0]];
+    return value * multiplier;
+  }
+
+  /**
+   * Read a queue row's size and latency
+   *
+   * @returns {{ size: number|null, latencySeconds: number|null }}
+   */
+  function parseQueueMetrics(row, metricColumns) {
+    if (!row) return { size: null, latencySeconds: null };
+    const cells = getPageCells(row);
+    const sizeCell = cells[metricColumns.size];
+    const latencyCell = cells[metricColumns.latency];
+    return {
+      size: sizeCell ? parseDisplayedNumber(sizeCell.textContent) : null,
+      latencySeconds: latencyCell ? parseLatencySeconds(latencyCell.textContent) : null,
+    };
+  }
+
   /**
    * Log helper with consistent prefix
    */
@@ -209,17 +516,30 @@
     }
   }
 
-  function ensureHiddenIframe() {
-    let iframe = document.querySelector('iframe[name="sqks_target"]');
+  /**
+   * Hidden iframe used as the target of native form submissions
+   * Each concurrent submission worker owns one slot, so their loads never mix.
+   */
+  function getIframeTargetName(slot = 0) {
+    return slot === 0 ? 'sqks_target' : `sqks_target_${slot}`;
+  }
+
+  function ensureHiddenIframe(slot = 0) {
+    const name = getIframeTargetName(slot);
+    let iframe = document.querySelector(`iframe[name="${name}"]`);
     if (!iframe) {
       iframe = document.createElement('iframe');
-      iframe.name = 'sqks_target';
+      iframe.name = name;
       iframe.style.display = 'none';
       document.body.appendChild(iframe);
     }
     return iframe;
   }
 
+  /**
+   * Live form and submit control a native submission would use for a queue
+   * The dry run goes through this too, so its verdict matches what the run would click.
+   */
   function findLiveFormForQueue(actionPathKey, actionType) {
     // Use form index for O(1) lookup instead of O(N) DOM scanning
     const index = getLiveFormIndex();
@@ -227,15 +547,15 @@
 
     if (entry) {
       perfIncr('formIndexHits');
-      const submitButton = actionType === 'pause' ? entry.pauseBtn : entry.unpauseBtn;
-      return { form: entry.form, submitButton };
+      // SAFETY: findSubmitButton refuses delete controls and pausing protected queues
+      return { form: entry.form, submitButton: findSubmitButton(entry.form, actionType) };
     }
 
     perfIncr('formIndexMisses');
     return null;
   }
 
-  async function submitViaNativeForm(queueInfo, actionType) {
+  async function submitViaNativeForm(queueInfo, actionType, slot = 0) {
     const live = findLiveFormForQueue(queueInfo.actionPathKey, actionType);
     if (!live) {
       return { ok: false, mode: 'native', reason: 'form_missing', hasQueuesTable: false };
@@ -246,10 +566,12 @@
       return { ok: false, mode: 'native', reason: 'submit_missing', hasQueuesTable: false };
     }
 
-    const iframe = ensureHiddenIframe();
+    const iframe = ensureHiddenIframe(slot);
     const originalTarget = form.getAttribute('target');
-    form.setAttribute('target', 'sqks_target');
+    form.setAttribute('target', iframe.name);
 
+    const signal = getRunSignal();
+    let stopped = false;
     const waitForLoad = new Promise((resolve) => {
       const onLoad = () => {
         iframe.removeEventListener('load', onLoad);
@@ -260,6 +582,13 @@
         iframe.removeEventListener('load', onLoad);
         resolve(false);
       }, IFRAME_SUBMIT_TIMEOUT_MS);
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          iframe.removeEventListener('load', onLoad);
+          stopped = true;
+          resolve(false);
+        }, { once: true });
+      }
     });
 
     try {
@@ -290,17 +619,29 @@
       form.removeAttribute('target');
     }
 
+    if (stopped) {
+      // The POST may already have reached the server; the run's final check finds out
+      try {
+        iframe.contentWindow.stop();
+      } catch (e) {
+        // Ignore iframe access errors
+      }
+      return { ok: false, mode: 'native', reason: 'stopped', hasQueuesTable: false };
+    }
+
     let hasQueuesTable = false;
     let loginPage = false;
     let diagKind = 'NONE';
     let doc = null;
     let bodyText = '';
+    let responseStatus = 0;
     try {
       doc = iframe.contentDocument;
       if (doc) {
-        hasQueuesTable = !!doc.querySelector('table.queues');
+        hasQueuesTable = !!findQueuesTable(doc);
         loginPage = looksLikeLoginPageFromDoc(doc);
         bodyText = (doc.body && doc.body.textContent) ? doc.body.textContent : '';
+        responseStatus = getNavigationStatus(iframe);
         if (!loginPage && !hasQueuesTable) {
           diagKind = classify403(bodyText, { location: '' });
         }
@@ -310,20 +651,37 @@
     }
 
     const ok = loaded && !loginPage && hasQueuesTable;
-    const forbidden = !ok && loaded && !loginPage && !hasQueuesTable;
+    // Pushback pages (Rack::Attack, proxies) would otherwise look like a 403 and trigger a token refresh
+    const throttled = !ok && loaded && !loginPage && !hasQueuesTable
+      && (THROTTLE_STATUSES.includes(responseStatus) || (!responseStatus && THROTTLE_TEXT_PATTERN.test(bodyText)));
+    const forbidden = !ok && !throttled && loaded && !loginPage && !hasQueuesTable;
     return {
       ok,
       mode: 'native',
       hasQueuesTable,
       loginPage,
-      reason: loaded ? 'loaded' : 'timeout',
+      reason: loaded ? (throttled ? 'throttled' : 'loaded') : 'timeout',
       doc,
-      diagKind: forbidden ? diagKind : 'NONE',
+      diagKind: forbidden ? diagKind : (throttled ? 'THROTTLED' : 'NONE'),
       forbidden,
+      throttled,
+      status: throttled ? (responseStatus || (/unavailable/i.test(bodyText) ? 503 : 429)) : responseStatus,
       bodyText,
     };
   }
 
+  /**
+   * HTTP status of the document loaded in an iframe (Navigation Timing, Chrome 109+); 0 if unknown
+   */
+  function getNavigationStatus(iframe) {
+    try {
+      const [entry] = iframe.contentWindow.performance.getEntriesByType('navigation');
+      return (entry && entry.responseStatus) || 0;
+    } catch (e) {
+      return 0;
+    }
+  }
+
   function looksLikeLoginPageFromText(htmlText) {
     if (!htmlText) return false;
     const lower = htmlText.toLowerCase();
@@ -477,1083 +835,4205 @@
   }
 
   function endRun(results) {
-    if (!currentRun) return;
-    currentRun.endedAt = new Date().toISOString();
-    currentRun.results = results || null;
+    if (!currentRun) return Promise.resolve(true);
+    const run = currentRun;
+    run.endedAt = new Date().toISOString();
+    run.results = results || null;
     currentRun = null;
+    lastRun = run;
+    return saveRunToHistory(run);
   }
 
   /**
-   * Check if we're on the expected Sidekiq Queues page
+   * List stored runs for this Sidekiq instance (newest first)
    */
-  function isQueuesPage() {
-    return document.querySelector('table.queues') !== null;
+  async function listRunHistory() {
+    return storageGet(`${HISTORY_STORAGE_PREFIX}${getInstanceKey()}`, []);
   }
 
   /**
-   * Find the header container to inject our controls
+   * Size of a value as stored (chrome.storage counts its JSON)
    */
-  function findHeaderContainer() {
-    // Try to find the header container with the Queues h1
-    const headerContainer = document.querySelector('.header-container');
-    if (headerContainer) {
-      return headerContainer;
+  function jsonByteSize(value) {
+    return new TextEncoder().encode(JSON.stringify(value)).length;
+  }
+
+  /**
+   * Persist a finished run record, applying retention limits
+   * Logs and submissions are capped (keeping the most recent) so one huge run
+   * can't exhaust extension storage, and the oldest runs are dropped to keep the
+   * instance's history under HISTORY_MAX_BYTES.
+   *
+   * @returns {Promise<boolean>} false when the write failed (the run is not in history)
+   */
+  async function saveRunToHistory(run) {
+    let record = sanitizeData({
+      ...run,
+      logs: run.logs.slice(-HISTORY_MAX_LOGS_PER_RUN),
+      submissions: run.submissions.slice(-HISTORY_MAX_SUBMISSIONS_PER_RUN),
+      truncated: run.logs.length > HISTORY_MAX_LOGS_PER_RUN
+        || run.submissions.length > HISTORY_MAX_SUBMISSIONS_PER_RUN,
+    });
+    // A run too big on its own keeps only its most recent logs and submissions
+    while (jsonByteSize(record) > HISTORY_MAX_BYTES && (record.logs.length > 0 || record.submissions.length > 0)) {
+      record = {
+        ...record,
+        logs: record.logs.slice(Math.ceil(record.logs.length / 2)),
+        submissions: record.submissions.slice(Math.ceil(record.submissions.length / 2)),
+        truncated: true,
+      };
     }
 
-    // Fallback: find h1 containing "Queues" and use its parent
-    const h1Elements = document.querySelectorAll('h1');
-    for (const h1 of h1Elements) {
-      if (h1.textContent.trim().toLowerCase().includes('queue')) {
-        return h1.parentElement;
-      }
+    const cutoff = Date.now() - HISTORY_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    const history = (await listRunHistory())
+      .filter(entry => Date.parse(entry.startedAt) >= cutoff);
+    history.unshift(record);
+    history.splice(HISTORY_MAX_RUNS);
+    let bytes = jsonByteSize(history);
+    while (history.length > 1 && bytes > HISTORY_MAX_BYTES) {
+      bytes -= jsonByteSize(history.pop());
     }
+    return storageSet(`${HISTORY_STORAGE_PREFIX}${getInstanceKey()}`, history);
+  }
 
-    // Last resort: just use the first h1's parent or body
-    const firstH1 = document.querySelector('h1');
-    return firstH1 ? firstH1.parentElement : document.body;
+  async function clearRunHistory() {
+    return storageSet(`${HISTORY_STORAGE_PREFIX}${getInstanceKey()}`, []);
   }
 
   /**
-   * Extract queue name from form action URL
+   * Detect the Sidekiq product and version from the page footer
+   * e.g. "Sidekiq v7.2.4", "Sidekiq Enterprise v7.2.1"
+   *
+   * @returns {{ product: string, version: string|null, raw: string }|null}
    */
-  function getQueueNameFromAction(action) {
-    const match = action.match(/\/sidekiq\/queues\/([^/?]+)/);
-    return match ? decodeURIComponent(match[1]) : 'unknown';
+  function detectSidekiqVersion(doc) {
+    const candidates = doc.querySelectorAll('.product-version, footer, .navbar-text');
+    for (const el of candidates) {
+      const text = (el.textContent || '').replace(/\s+/g, ' ').trim();
+      const match = text.match(/Sidekiq(?:\s+(Pro|Enterprise))?\s+v?(\d+(?:\.\d+){1,2})/i);
+      if (match) {
+        return {
+          product: match[1] ? `Sidekiq ${match[1]}` : 'Sidekiq',
+          version: match[2],
+          raw: match[0],
+        };
+      }
+    }
+    return null;
   }
 
   /**
-   * Get the authenticity token from a form element (hidden input)
-   * This is ONLY for the POST body param - not for headers
+   * Map a detected product version onto the Sidekiq OSS major it ships with
+   * (Pro 5.x and Enterprise 2.x run on Sidekiq 6; from 7.0 the majors line up)
    */
-  function getAuthenticityToken(form) {
-    const tokenInput = form.querySelector('input[name="authenticity_token"]');
-    return tokenInput ? tokenInput.value : null;
+  function getSidekiqMajor(detected) {
+    if (!detected) return null;
+    const major = parseInt(detected.version, 10);
+    if (detected.product === 'Sidekiq Pro' && major === 5) return 6;
+    if (detected.product === 'Sidekiq Enterprise' && major === 2) return 6;
+    return major >= 6 ? major : null;
   }
 
   /**
-   * Get CSRF token for the X-CSRF-Token header
-   *
-   * IMPORTANT: This must come from a "page-global" source that Rails validates
-   * against. Hidden form inputs are per-form masked tokens and MUST NOT be used
-   * for the header (they cause mismatches).
-   *
-   * Search order:
-   * 1. meta[name="csrf-token"] - Standard Rails approach
-   * 2. Script-embedded tokens - Some apps embed in inline JS
-   *
-   * @param {Document} doc - Document to search
-   * @returns {{ token: string|null, source: string }}
+   * Check whether a document has the structure a selector profile expects
    */
-  function getHeaderCsrfTokenExtended(doc, htmlText, responseHeaders) {
-    // 1. Standard Rails meta tag (preferred, most reliable)
-    const meta = doc.querySelector('meta[name="csrf-token"]');
-    if (meta) {
-      const content = meta.getAttribute('content');
-      if (content && isTokenLike(content)) {
-        return { token: content.trim(), source: 'meta' };
-      }
-    }
+  function profileMatchesDocument(profile, doc) {
+    if (!doc.querySelector(profile.queuesTable)) return false;
+    return profile.headerContainer
+      ? !!doc.querySelector(profile.headerContainer)
+      : !!doc.querySelector(profile.heading);
+  }
 
-    // 2. meta[name="csrf-param"] + inline scripts
-    const metaParam = doc.querySelector('meta[name="csrf-param"]');
-    const paramName = metaParam ? metaParam.getAttribute('content') : null;
-    if (paramName) {
-      const fromParamScript = extractTokenFromInlineScripts(doc, paramName);
-      if (fromParamScript) {
-        return fromParamScript;
-      }
+  /**
+   * Pick the selector profile for a page: by detected Sidekiq version when the
+   * page structure agrees, otherwise by structure alone, otherwise by the queues
+   * table alone (unrecognized layout: the controls load with a visible warning)
+   *
+   * @returns {{ profile: Object, version: Object|null, matched: boolean, unrecognizedLayout: boolean, warning: string|null }}
+   */
+  function detectSelectorProfile(doc) {
+    const version = detectSidekiqVersion(doc);
+    const major = getSidekiqMajor(version);
+    const versionLabel = version ? `${version.product} v${version.version}` : null;
+    const byVersion = SELECTOR_PROFILES.find(p => p.major === major) || null;
+
+    if (byVersion && profileMatchesDocument(byVersion, doc)) {
+      return { profile: byVersion, version, matched: true, unrecognizedLayout: false, warning: null };
     }
 
-    // 3. rails-ujs data attributes
-    const dataEl = doc.querySelector('a[data-method][data-remote][data-csrf], button[data-method][data-remote][data-csrf]');
-    if (dataEl) {
-      const dataToken = dataEl.getAttribute('data-csrf');
-      if (isTokenLike(dataToken)) {
-        return { token: dataToken.trim(), source: 'data-csrf-attr' };
+    const byStructure = SELECTOR_PROFILES.find(p => profileMatchesDocument(p, doc));
+    if (byStructure) {
+      let warning = null;
+      if (!versionLabel) {
+        warning = `Sidekiq version not detected; using ${byStructure.label} selectors based on page structure`;
+      } else if (!byVersion) {
+        warning = `${versionLabel} has no selector profile (untested); using ${byStructure.label} selectors based on page structure`;
+      } else {
+        warning = `${versionLabel} detected but the page looks like ${byStructure.label}; using ${byStructure.label} selectors`;
       }
+      return { profile: byStructure, version, matched: true, unrecognizedLayout: false, warning };
     }
 
-    // 4. Inline script assignments (conservative patterns only)
-    const fromScripts = extractTokenFromInlineScripts(doc, null);
-    if (fromScripts) {
-      return fromScripts;
-    }
-
-    // 5. Response header fallback (rare)
-    if (responseHeaders && responseHeaders.xCsrfToken && isTokenLike(responseHeaders.xCsrfToken)) {
-      return { token: responseHeaders.xCsrfToken.trim(), source: 'header-x-csrf-token' };
+    // The queues table is what the kill switch works on; a changed header shouldn't disable it
+    const fallback = byVersion || SELECTOR_PROFILES[0];
+    if (doc.querySelector(fallback.queuesTable)) {
+      return {
+        profile: fallback,
+        version,
+        matched: true,
+        unrecognizedLayout: true,
+        warning: `Unrecognized page layout${versionLabel ? ` (${versionLabel})` : ''}: found the queues table but none of the `
+          + `${SELECTOR_PROFILES.map(p => p.label).join(', ')} headers; using ${fallback.label} selectors. Check the preview before confirming a run.`,
+      };
     }
 
-    // 6. No valid header token source found
-    // IMPORTANT: We do NOT fall back to hidden form inputs - they are for body only
-    return { token: null, source: 'missing' };
+    return {
+      profile: fallback,
+      version,
+      matched: false,
+      unrecognizedLayout: false,
+      warning: `No known Sidekiq selector profile matches this page${versionLabel ? ` (${versionLabel})` : ''}; `
+        + `looked for ${SELECTOR_PROFILES.map(p => p.label).join(', ')} layouts. The kill switch is disabled here.`,
+    };
   }
 
   /**
-   * Find a submit control by action type (pause/unpause) in a form element
-   * PRIMARY: Selects by name attribute (most reliable for Rails forms)
-   * FALLBACK: Selects by value or text content
-   * Supports both <input type="submit"> and <button> elements
-   * Returns null if no matching control found
+   * Selector profile for the current page (fetched copies of the page use the same one)
    */
-  function findSubmitButton(form, actionType) {
-    // SAFETY: Only allow known action types
-    if (!ALLOWED_ACTIONS.includes(actionType)) {
-      logError(`Invalid action type: ${actionType}`);
-      return null;
-    }
-
-    // PRIMARY: Direct name-based selection (most reliable for Rails)
-    // This is how browsers identify which submit button was clicked
-    const byName = form.querySelector(
-      `input[type="submit"][name="${actionType}"], button[name="${actionType}"]`
-    );
-    if (byName) {
-      // SAFETY: Double-check it's not a delete button
-      const name = (byName.getAttribute('name') || '').toLowerCase();
-      if (!name.includes('delete')) {
-        return byName;
+  function getSelectorProfileInfo() {
+    if (!selectorProfileInfo) {
+      selectorProfileInfo = detectSelectorProfile(document);
+      const { profile, version, matched, warning } = selectorProfileInfo;
+      if (!matched && !isQueuesIndexPath()) {
+        // Queue detail pages also load the content script; no table there is expected
+        logVerbose('No queues table on this page');
+      } else if (warning) {
+        (matched ? log : logError)(warning);
+      } else {
+        logVerbose(`Selector profile: ${profile.id} (${version.product} v${version.version})`);
       }
     }
+    return selectorProfileInfo;
+  }
 
-    // FALLBACK: Search by value or text content for non-standard forms
-    const candidates = form.querySelectorAll('input[type="submit"], button[type="submit"], button:not([type])');
-
-    for (const el of candidates) {
-      const name = (el.getAttribute('name') || '').trim().toLowerCase();
-      const value = (el.getAttribute('value') || '').trim().toLowerCase();
-      const text = (el.textContent || '').trim().toLowerCase();
+  function getSelectorProfile() {
+    return getSelectorProfileInfo().profile;
+  }
 
-      // SAFETY: Explicitly reject delete buttons by name, value, or text
-      if (name.includes('delete') || value.includes('delete') || text.includes('delete')) {
-        continue;
-      }
+  /**
+   * Find the queues table in a document using the active profile
+   */
+  function findQueuesTable(doc) {
+    return doc.querySelector(getSelectorProfile().queuesTable);
+  }
 
-      // Match by value or text (fallback only)
-      if (value === actionType || text === actionType) {
-        return el;
-      }
-    }
+  /**
+   * Selector for a queue form's pause/unpause submit control
+   */
+  function getActionButtonSelector(actionType) {
+    return getSelectorProfile().actionButton.replace(/\{action\}/g, actionType);
+  }
 
-    return null;
+  /**
+   * Current engine settings, as applied (for diagnostics)
+   */
+  function getEngineSettings() {
+    return {
+      maxPasses: MAX_PASSES,
+      postDelayMs: POST_DELAY_MS,
+      submitConcurrency: SUBMIT_CONCURRENCY,
+      passDelayMs: PASS_DELAY_MS,
+      liveDomRecheckInterval: LIVE_DOM_RECHECK_INTERVAL,
+      iframeSubmitTimeoutMs: IFRAME_SUBMIT_TIMEOUT_MS,
+      tablePollSeconds: TABLE_POLL_SECONDS,
+      debugLevel: DEBUG_LEVEL,
+    };
   }
 
   /**
-   * Fetch the queues page and parse it into a document
-   * Returns a parsed Document for querying fresh DOM state
-   * Also builds form index for efficient subsequent operations
+   * Build a diagnostic bundle for a run record
+   * Everything passes through sanitizeData (and so redactSecrets), so tokens
+   * are reduced to prefixes and secrets in page snippets are redacted.
    */
-  async function fetchQueuesPageDocument(contextLabel = 'refresh') {
-    const response = await fetch(window.location.href, {
-      method: 'GET',
-      credentials: REQUEST_CREDENTIALS,
-      headers: {
-        'Accept': 'text/html',
+  function buildDiagnosticsBundle(run) {
+    let extensionVersion = null;
+    try {
+      extensionVersion = chrome.runtime.getManifest().version;
+    } catch (e) {
+      // Extension context invalidated (extension reloaded); version unknown
+    }
+
+    return sanitizeData({
+      generatedAt: new Date().toISOString(),
+      extensionVersion,
+      sidekiq: detectSidekiqVersion(document),
+      selectorProfile: (({ profile, matched, unrecognizedLayout, warning }) => ({ id: profile.id, matched, unrecognizedLayout, warning }))(getSelectorProfileInfo()),
+      userAgent: navigator.userAgent,
+      settings: getEngineSettings(),
+      run: {
+        id: run.id,
+        actionType: run.actionType,
+        startedAt: run.startedAt,
+        endedAt: run.endedAt || null,
+        inProgress: run === currentRun,
+        pageUrl: run.pageUrl,
+        meta: run.meta,
+        results: run.results,
+        stats: run.results ? run.results.stats || null : null,
+        perfMetrics: run.perfMetrics || (run === currentRun ? perfMetrics : null),
+        truncated: run.truncated || false,
+        logs: run.logs,
+        submissions: run.submissions,
+        refreshes: run.refreshes,
       },
     });
+  }
 
-    const html = await response.text();
-    const parseStart = PERF_ENABLED ? performance.now() : 0;
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(html, 'text/html');
-    perfMark('parseTime', PERF_ENABLED ? performance.now() - parseStart : 0);
-    perfIncr('domQueries');
+  /**
+   * Download a run's diagnostic bundle as a JSON file
+   */
+  function downloadDiagnostics(run) {
+    downloadJson(`sqks-diagnostics-${run.id}.json`, buildDiagnosticsBundle(run));
+    log(`Downloaded diagnostics for run ${run.id}`);
+  }
 
-    const loginPage = looksLikeLoginPageFromDoc(doc) || looksLikeLoginPageFromText(html);
-    const hasQueuesTable = !!doc.querySelector('table.queues');
-    const responseHeaders = {
-      xCsrfToken: response.headers.get('x-csrf-token'),
-    };
-    const { token: headerToken, source: tokenSource } = getHeaderCsrfTokenExtended(doc, html, responseHeaders);
+  /**
+   * Save data as a JSON file via a temporary object URL
+   */
+  function downloadJson(filename, data) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
 
-    // Build form index once for this parsed document
-    const formIndex = hasQueuesTable ? buildFormIndex(doc) : null;
+  /**
+   * Key identifying this Sidekiq instance (origin + mount path) in storage
+   */
+  function getInstanceKey() {
+    return `${window.location.origin}${getMountPath()}`;
+  }
 
-    log(
-      `[${contextLabel}] GET status=${response.status} loginPage=${loginPage} table.queues=${hasQueuesTable}`,
-      `headerCsrf=${tokenSource}:${tokenPrefix(headerToken)}`
-    );
-    if (ENABLE_RUN_LOGS && currentRun) {
-      currentRun.refreshes.push({
-        ts: new Date().toISOString(),
-        label: contextLabel,
-        status: response.status,
-        loginPage,
-        hasQueuesTable,
-        headerCsrfSource: tokenSource,
-        headerCsrfPrefix: tokenPrefix(headerToken),
-      });
+  /**
+   * chrome.storage helpers - failures are logged, never thrown, so storage
+   * problems can't block the kill switch itself
+   */
+  async function storageGet(key, fallback, area = 'local') {
+    try {
+      const stored = await chrome.storage[area].get(key);
+      return key in stored ? stored[key] : fallback;
+    } catch (error) {
+      logError(`Storage read failed for ${key}:`, error);
+      return fallback;
     }
-    if (!response.ok) {
-      logError(`[${contextLabel}] GET non-OK status=${response.status}`);
+  }
+
+  async function storageSet(key, value, area = 'local') {
+    try {
+      await chrome.storage[area].set({ [key]: value });
+      return true;
+    } catch (error) {
+      logError(`Storage write failed for ${key}:`, error);
+      return false;
     }
+  }
 
-    return { doc, htmlText: html, loginPage, status: response.status, ok: response.ok, responseHeaders, formIndex };
+  async function storageRemove(key, area = 'local') {
+    try {
+      await chrome.storage[area].remove(key);
+      return true;
+    } catch (error) {
+      logError(`Storage remove failed for ${key}:`, error);
+      return false;
+    }
   }
 
   /**
-   * Get actionable queue forms from a document (live DOM or fetched)
-   * Returns array of queue info objects for queues that still need the specified action
+   * Capture each queue's paused/active state from a form index
+   * Queues showing an unpause button are paused; a pause button means active
    *
-   * @param {Document} doc - Document to search (live DOM or parsed)
-   * @param {string} actionType - 'pause' or 'unpause'
-   * @param {boolean} verbose - Enable verbose logging
-   * @param {Map} formIndex - Optional pre-built form index for efficiency
+   * @returns {Object} actionPathKey -> { queueName, state: 'paused'|'active' }
    */
-  function getActionableQueues(doc, actionType, verbose = false, formIndex = null) {
-    const start = PERF_ENABLED ? performance.now() : 0;
+  function captureQueueStates(formIndex) {
+    const queues = {};
+    for (const [actionPathKey, entry] of formIndex) {
+      if (entry.unpauseBtn) {
+        queues[actionPathKey] = { queueName: entry.queueName, state: 'paused' };
+      } else if (entry.pauseBtn) {
+        queues[actionPathKey] = { queueName: entry.queueName, state: 'active' };
+      }
+    }
+    return queues;
+  }
 
-    // Use provided index or build one
-    const index = formIndex || buildFormIndex(doc);
-    const actionable = [];
+  /**
+   * Count paused/active queues from a form index
+   *
+   * @returns {{ total: number, paused: number, active: number }}
+   */
+  function countQueueStates(formIndex) {
+    const states = Object.values(captureQueueStates(formIndex));
+    const paused = states.filter(q => q.state === 'paused').length;
+    return { total: states.length, paused, active: states.length - paused };
+  }
 
-    // Counters for observability
-    let formsWithDelete = 0;
-    let formsNoMatchingAction = 0;
-    let formsNoToken = 0;
+  /**
+   * chrome.runtime.sendMessage that reports every failure as a rejection
+   * Once the extension is reloaded or updated, sendMessage throws "Extension context
+   * invalidated" synchronously in this (orphaned) content script instead of rejecting.
+   */
+  function sendRuntimeMessage(message) {
+    try {
+      return chrome.runtime.sendMessage(message);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
 
-    for (const [actionPathKey, entry] of index) {
-      const { form, token, pauseBtn, unpauseBtn, queueName, action } = entry;
-      const submitButton = actionType === 'pause' ? pauseBtn : unpauseBtn;
+  /**
+   * Send paused/active counts to the service worker for this tab's toolbar badge
+   * Called on page load and whenever a run re-fetches the queues page.
+   */
+  function reportQueueCounts(formIndex) {
+    const counts = countQueueStates(formIndex);
+    sendRuntimeMessage({ type: 'sqks:queueCounts', instance: getInstanceKey(), counts }).catch((error) => {
+      logVerbose('Badge update failed:', error);
+    });
+  }
 
-      // If no submit button for this action, queue is already in desired state
-      if (!submitButton) {
-        // Check if form has delete but no pause/unpause (for debugging)
-        const hasDelete = form.querySelector('input[name="delete"], button[name="delete"]');
-        if (hasDelete) {
-          formsWithDelete++;
-        } else {
-          formsNoMatchingAction++;
-        }
-        continue;
+  /**
+   * Summarize a form index for the overview strip
+   *
+   * @returns {{ total: number, paused: number, active: number, enqueued: number|null,
+   *   oldest: { queueName: string, latencySeconds: number }|null }}
+   */
+  function summarizeQueues(formIndex) {
+    let enqueued = null;
+    let oldest = null;
+    for (const entry of formIndex.values()) {
+      if (entry.size !== null) enqueued = (enqueued || 0) + entry.size;
+      if (entry.latencySeconds !== null && (!oldest || entry.latencySeconds > oldest.latencySeconds)) {
+        oldest = { queueName: entry.queueName, latencySeconds: entry.latencySeconds };
       }
+    }
+    return { ...countQueueStates(formIndex), enqueued, oldest };
+  }
 
-      // Accept empty string tokens (CSRF disabled on server per sidekiq/sidekiq#6739)
-      if (token === null) {
-        logError(`No authenticity token input for queue: ${queueName}`);
-        formsNoToken++;
-        continue;
+  /**
+   * Heat level for a latency (see LATENCY_HEAT_LEVELS), null when cool or unknown
+   */
+  function getLatencyHeat(latencySeconds) {
+    if (latencySeconds === null) return null;
+    const heat = LATENCY_HEAT_LEVELS.find(h => latencySeconds >= h.minSeconds);
+    return heat ? heat.level : null;
+  }
+
+  /**
+   * Format a latency for display: 0.4 s, 12 s, 5m 12s, 3h 05m, 2d 4h
+   */
+  function formatLatency(latencySeconds) {
+    if (latencySeconds < 10) return `${Math.round(latencySeconds * 10) / 10} s`;
+    const seconds = Math.round(latencySeconds);
+    if (seconds < 60) return `${seconds} s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ${String(Math.floor(seconds / 60) % 60).padStart(2, '0')}m`;
+    return `${Math.floor(seconds / 86400)}d ${Math.floor(seconds / 3600) % 24}h`;
+  }
+
+  /**
+   * Color-code the live table's rows by latency
+   */
+  function applyLatencyHeat(formIndex) {
+    for (const entry of formIndex.values()) {
+      if (!entry.row) continue;
+      const heat = getLatencyHeat(entry.latencySeconds);
+      for (const { level } of LATENCY_HEAT_LEVELS) {
+        entry.row.classList.toggle(`sqks-heat-${level}`, level === heat);
       }
+    }
+  }
 
-      // Get exact submitName and submitValue from DOM attributes
-      // Rails forms require the exact name=value pair the browser would send
-      const submitName = submitButton.getAttribute('name');
-      const submitValue = submitButton.getAttribute('value');
+  /**
+   * Show the queue overview strip above the queues table
+   * Rendered from the live page on load and from each page re-fetch during a run,
+   * so it tracks server state while the table itself is only refreshed at the end.
+   */
+  function renderOverview(formIndex) {
+    const table = findQueuesTable(document);
+    if (!table) return;
+    let strip = document.querySelector('.sqks-overview');
+    if (!strip) {
+      strip = createElement('div', 'sqks-overview');
+      strip.setAttribute('aria-label', 'Queue overview');
+      table.parentElement.insertBefore(strip, table);
+    }
 
-      // SAFETY: Require name attribute (essential for Rails form submission)
-      if (!submitName) {
-        logError(`Submit button has no name attribute for queue: ${queueName}`);
-        continue;
+    const summary = summarizeQueues(formIndex);
+    const item = (label, value, className) => {
+      const element = createElement('span', `sqks-overview-item${className ? ` ${className}` : ''}`);
+      element.appendChild(createElement('span', 'sqks-overview-label', label));
+      element.appendChild(createElement('strong', null, value));
+      return element;
+    };
+    const items = [
+      item('Queues', summary.total.toLocaleString()),
+      item('Paused', summary.paused.toLocaleString(), summary.paused > 0 ? 'sqks-overview-paused' : ''),
+      item('Active', summary.active.toLocaleString()),
+      item('Enqueued', summary.enqueued === null ? '–' : summary.enqueued.toLocaleString()),
+    ];
+    if (summary.oldest) {
+      const heat = getLatencyHeat(summary.oldest.latencySeconds);
+      items.push(item(
+        'Oldest latency',
+        `${formatLatency(summary.oldest.latencySeconds)} (${summary.oldest.queueName})`,
+        heat ? `sqks-heat-${heat}` : ''
+      ));
+    } else {
+      items.push(item('Oldest latency', '–'));
+    }
+    strip.replaceChildren(...items);
+    strip.title = `Updated ${new Date().toLocaleTimeString()}`;
+  }
+
+  /**
+   * What a queue row shows (cell text and buttons), ignoring the extension's additions
+   * and per-render authenticity tokens, to tell whether a fetched row differs
+   */
+  function rowSignature(row) {
+    return getPageCells(row).map((cell) => {
+      const copy = cell.cloneNode(true);
+      copy.querySelectorAll('.sqks-protected-label, .sqks-annotation-label').forEach(label => label.remove());
+      const buttons = Array.from(copy.querySelectorAll('input[type="submit"], button'))
+        .map(button => `${button.name}=${button.value}`);
+      return `${copy.textContent.replace(/\s+/g, ' ').trim()}[${buttons.join(',')}]`;
+    }).join('|');
+  }
+
+  /**
+   * Whether a cell holds controls (forms, buttons, confirm prompts) rather than plain content
+   */
+  function isControlCell(cell) {
+    return !!cell.querySelector('form, input, button, select, [data-confirm]');
+  }
+
+  /**
+   * Bring a live queue row up to date from its fetched counterpart without replacing it
+   * Sidekiq's own scripts bound listeners to the live controls on page load (e.g. the
+   * data-confirm prompt on Delete), so control cells keep their elements: only the
+   * state-bearing attributes (name, value, label, class, token values) are copied over.
+   * Plain cells (name, size, latency) take the fetched content.
+   *
+   * @returns {boolean} false when the row's structure changed and can't be patched in place
+   */
+  function updateRowInPlace(liveRow, fetchedRow) {
+    const liveCells = getPageCells(liveRow);
+    const fetchedCells = getPageCells(fetchedRow);
+    if (liveCells.length !== fetchedCells.length) return false;
+
+    // Check every control cell lines up before touching anything
+    const controlPairs = [];
+    for (let i = 0; i < liveCells.length; i++) {
+      if (isControlCell(liveCells[i]) !== isControlCell(fetchedCells[i])) return false;
+      if (!isControlCell(liveCells[i])) continue;
+      const liveControls = liveCells[i].querySelectorAll('form, input, button, select');
+      const fetchedControls = fetchedCells[i].querySelectorAll('form, input, button, select');
+      if (liveControls.length !== fetchedControls.length) return false;
+      for (let j = 0; j < liveControls.length; j++) {
+        if (liveControls[j].tagName !== fetchedControls[j].tagName) return false;
+        // A control that gained (or lost) a confirm prompt can't be patched: the live one isn't bound to it
+        if (liveControls[j].hasAttribute('data-confirm') !== fetchedControls[j].hasAttribute('data-confirm')) return false;
+        controlPairs.push([liveControls[j], fetchedControls[j]]);
       }
+    }
 
-      // SAFETY: Final check - reject delete
-      if (submitName.toLowerCase() === 'delete') {
-        logError(`SAFETY: Skipping delete button for queue: ${queueName}`);
+    for (let i = 0; i < liveCells.length; i++) {
+      if (!isControlCell(liveCells[i])) {
+        liveCells[i].replaceChildren(...Array.from(fetchedCells[i].childNodes, node => document.importNode(node, true)));
+        liveCells[i].className = fetchedCells[i].className;
+      }
+    }
+    for (const [live, fetched] of controlPairs) {
+      if (live.tagName === 'FORM') {
+        live.setAttribute('action', fetched.getAttribute('action'));
         continue;
       }
+      // A confirm-guarded control (Delete) keeps its element, attributes and listeners as they are
+      if (live.hasAttribute('data-confirm')) continue;
+      live.name = fetched.name;
+      live.value = fetched.value;
+      live.className = fetched.className;
+      if (live.tagName === 'BUTTON') live.textContent = fetched.textContent;
+    }
+    return true;
+  }
 
-      // Log the exact name=value pair we'll submit (helps debugging)
-      if (verbose) {
-        logVerbose(`  Queue "${queueName}": will submit ${submitName}=${submitValue}`);
+  /**
+   * Disable the confirm-guarded controls (Delete) in a row imported from a fetched page
+   * Sidekiq binds its data-confirm prompt on page load, so an imported Delete would post
+   * without asking. The control stays visible but unusable until the page is reloaded.
+   *
+   * @returns {number} how many controls were disabled
+   */
+  function disableUnboundConfirmControls(row) {
+    const guarded = Array.from(row.querySelectorAll('[data-confirm]'));
+    for (const element of guarded) {
+      const controls = element.tagName === 'FORM'
+        ? Array.from(element.querySelectorAll('input, button'))
+        : [element];
+      for (const control of controls) {
+        if ('disabled' in control) {
+          control.disabled = true;
+        } else {
+          control.removeAttribute('href');
+          control.setAttribute('aria-disabled', 'true');
+        }
+        control.title = 'Reload the page to use this control';
       }
+      if (element.tagName === 'FORM') {
+        // Enter in a text field would still submit the form
+        element.addEventListener('submit', (event) => event.preventDefault(), true);
+      }
+    }
+    return guarded.length;
+  }
 
-      actionable.push({
-        queueName,
-        action,
-        actionPathKey, // Used to re-find form after page refetch
-        formToken: token,      // For POST body authenticity_token param
-        submitName,
-        submitValue: submitValue || submitName, // Fallback to name if value missing
-        actionType,
-      });
+  /**
+   * Patch the live table's queue rows from a fetched queues page
+   * Changed rows are updated in place (see updateRowInPlace), new queues are inserted in
+   * page order and deleted ones removed. A changed row whose structure differs is only
+   * replaced when neither version has confirm-guarded controls; otherwise it waits for a
+   * reload. Inserted rows get their confirm-guarded controls disabled (see
+   * disableUnboundConfirmControls) and count as needing a reload too.
+   * Must not run while a run is submitting: the native submission path posts the live forms.
+   *
+   * @returns {{ changed: number, added: number, removed: number, stale: number }}
+   */
+  function patchLiveTable(fetchedIndex) {
+    const counts = { changed: 0, added: 0, removed: 0, stale: 0 };
+    const table = findQueuesTable(document);
+    if (!table) return counts;
+
+    const rowsByKey = (index) => {
+      const rows = new Map();
+      const seen = new Set();
+      for (const [key, entry] of index) {
+        if (entry.row && !seen.has(entry.row)) {
+          seen.add(entry.row);
+          rows.set(key, entry.row);
+        }
+      }
+      return rows;
+    };
+    const liveRows = rowsByKey(buildFormIndex(document));
+    const fetchedRows = rowsByKey(fetchedIndex);
+    const hasSelectColumn = !!table.querySelector('.sqks-select-cell');
+
+    for (const [key, row] of liveRows) {
+      if (!fetchedRows.has(key)) {
+        row.remove();
+        // A queue that left the page must not stay in "Pause Selected"
+        selectedQueueKeys.delete(key);
+        counts.removed++;
+      }
     }
 
-    if (verbose) {
-      logVerbose(`Enumeration: ${index.size} total forms, ${actionable.length} actionable for "${actionType}"`);
-      logVerbose(`  - Already in desired state: ${formsNoMatchingAction}`);
-      logVerbose(`  - Delete-only forms: ${formsWithDelete}`);
-      logVerbose(`  - Missing token: ${formsNoToken}`);
+    let previous = null;
+    for (const [key, fetchedRow] of fetchedRows) {
+      let row = liveRows.get(key);
+      if (!row) {
+        row = document.importNode(fetchedRow, true);
+        // SAFETY: an imported Delete has no confirmation prompt bound to it
+        if (disableUnboundConfirmControls(row) > 0) counts.stale++;
+        if (hasSelectColumn) {
+          row.insertBefore(createSelectCell(key, fetchedIndex.get(key).queueName), row.firstChild);
+        }
+        if (previous) {
+          previous.after(row);
+        } else {
+          (table.tBodies[0] || table).prepend(row);
+        }
+        counts.added++;
+      } else if (rowSignature(row) !== rowSignature(fetchedRow)) {
+        // SAFETY: Sidekiq's Delete confirmation is bound to the original elements; check it survived
+        const confirmControls = Array.from(row.querySelectorAll('[data-confirm]'));
+        if (updateRowInPlace(row, fetchedRow)) {
+          if (confirmControls.some(control => !row.contains(control))) {
+            logError(`Row for ${key} lost its confirm-guarded controls while being patched`);
+          }
+          counts.changed++;
+        } else if (confirmControls.length > 0 || fetchedRow.querySelector('[data-confirm]')) {
+          logVerbose(`Row for ${key} changed shape; left as is until the page is reloaded`);
+          counts.stale++;
+        } else {
+          const replacement = document.importNode(fetchedRow, true);
+          const selectCell = Array.from(row.cells).find(cell => cell.classList.contains('sqks-select-cell'));
+          if (selectCell) replacement.insertBefore(selectCell, replacement.firstChild);
+          row.replaceWith(replacement);
+          row = replacement;
+          counts.changed++;
+        }
+      }
+      previous = row;
     }
 
-    perfMark('enumerateTime', PERF_ENABLED ? performance.now() - start : 0);
-    return actionable;
+    invalidateFormIndexCache();
+    if (hasSelectColumn) syncSelection();
+    markProtectedRows();
+    markAnnotatedRows();
+    applyLatencyHeat(buildFormIndex(document));
+    return counts;
   }
 
   /**
-   * Build a map of actionPathKey -> queue info from a document
-   * Used to update tokens for remaining queues after a refresh
+   * Bring the live table up to date from a fetched page (see fetchQueuesPageDocument)
    *
-   * @param {Document} doc - Document to search
-   * @param {string} actionType - 'pause' or 'unpause'
-   * @param {Map} formIndex - Optional pre-built form index for efficiency
+   * @returns {boolean} false when the page can't be used (login page, no queues table)
    */
-  function buildQueueTokenMap(doc, actionType, formIndex = null) {
-    const actionable = getActionableQueues(doc, actionType, false, formIndex);
-    const map = new Map();
-    for (const q of actionable) {
-      map.set(q.actionPathKey, q);
+  function updateLiveTable(page, contextLabel) {
+    if (!page || page.loginPage || !page.formIndex) {
+      log(`[${contextLabel}] Queues page unavailable (session expired?), table not updated`);
+      return false;
     }
-    return map;
+    const { changed, added, removed, stale } = patchLiveTable(page.formIndex);
+    if (changed + added + removed + stale > 0) {
+      log(`[${contextLabel}] Table updated in place: ${changed} changed, ${added} added, ${removed} removed${stale > 0 ? `, ${stale} need a reload` : ''}`);
+    } else {
+      logVerbose(`[${contextLabel}] Table already current`);
+    }
+    return true;
   }
 
   /**
-   * Build headers for Rails-compatible form submission
-   *
-   * @param {string|null} headerCsrfToken - CSRF token for X-CSRF-Token header
-   * @returns {Object} Headers object for fetch
+   * (Re)schedule the background table poll (tablePollSeconds, 0 = off)
+   * Skipped while this tab runs or is hidden; picks up interval changes from the options page.
    */
-  function buildRailsHeaders(headerCsrfToken) {
-    const headers = {
-      'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
-      'Accept': 'text/html, */*;q=0.1',
-      'Cache-Control': 'no-cache',
-      'X-Requested-With': 'XMLHttpRequest', // Rails expects this for AJAX requests
-    };
+  function scheduleTablePoll() {
+    clearTimeout(tablePollTimer);
+    tablePollTimer = null;
+    if (!tablePollEnabled || TABLE_POLL_SECONDS === 0) return;
 
-    // Always include X-CSRF-Token if we have a valid header token
-    if (headerCsrfToken) {
-      headers['X-CSRF-Token'] = headerCsrfToken;
-    }
+    tablePollTimer = setTimeout(async () => {
+      if (!bulkActionInProgress && !document.hidden) {
+        try {
+          const page = await fetchQueuesPageDocument('poll');
+          // A run may have started during the fetch; its submissions use the live forms
+          if (!bulkActionInProgress) updateLiveTable(page, 'poll');
+        } catch (error) {
+          logError('Table poll failed:', error);
+        }
+      }
+      scheduleTablePoll();
+    }, TABLE_POLL_SECONDS * 1000);
+  }
 
-    // Try to set Origin header (may be restricted in some contexts)
-    try {
-      headers['Origin'] = window.location.origin;
-    } catch (e) {
-      // Origin header restricted, proceed without
-    }
+  /**
+   * List stored snapshots for this Sidekiq instance (newest first)
+   */
+  async function listSnapshots() {
+    return storageGet(`${SNAPSHOT_STORAGE_PREFIX}${getInstanceKey()}`, []);
+  }
 
-    // Some headers (like Referer) are forbidden to set; rely on fetch referrer.
-    return headers;
+  /**
+   * Whether a snapshot was taken automatically before a run
+   * (snapshots stored before the flag existed are told apart by their name)
+   */
+  function isAutoSnapshot(snapshot) {
+    return snapshot.auto !== undefined ? snapshot.auto : snapshot.name.startsWith('Before ');
   }
 
-  function buildFormLikeHeaders(headerCsrfToken) {
-    const headers = {
-      'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
-      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-      'Cache-Control': 'no-cache',
+  /**
+   * Save a named snapshot of the current queue states
+   * Automatic snapshots (taken before every run) keep at most MAX_AUTO_SNAPSHOTS per
+   * instance, dropping the oldest; they never push out a snapshot saved by hand.
+   *
+   * @param {string} name - Snapshot name
+   * @param {Map} formIndex - Index to capture states from
+   * @param {boolean} auto - Taken automatically before a run
+   */
+  async function saveSnapshot(name, formIndex, auto = false) {
+    const queues = captureQueueStates(formIndex);
+    const states = Object.values(queues);
+    const snapshot = {
+      id: `snapshot-${Date.now()}`,
+      name,
+      createdAt: new Date().toISOString(),
+      pageUrl: window.location.href,
+      pausedCount: states.filter(q => q.state === 'paused').length,
+      activeCount: states.filter(q => q.state === 'active').length,
+      auto,
+      queues,
     };
 
-    if (headerCsrfToken) {
-      headers['X-CSRF-Token'] = headerCsrfToken;
+    const snapshots = await listSnapshots();
+    snapshots.unshift(snapshot);
+    let autoKept = 0;
+    const kept = snapshots.filter(s => !isAutoSnapshot(s) || ++autoKept <= MAX_AUTO_SNAPSHOTS);
+    const saved = await storageSet(`${SNAPSHOT_STORAGE_PREFIX}${getInstanceKey()}`, kept);
+    if (saved) {
+      log(`Saved snapshot "${name}": ${snapshot.pausedCount} paused, ${snapshot.activeCount} active`);
     }
-
-    return headers;
+    return saved ? snapshot : null;
   }
 
   /**
-   * Perform a single POST request for a queue action
-   * Uses redirect: 'manual' to properly detect 302 redirects as success
-   *
-   * @param {URL} url - Target URL
-   * @param {string} formToken - Token for POST body (from form hidden input)
-   * @param {string} submitName - Form field name
-   * @param {string} submitValue - Form field value
-   * @param {Object} csrfContext - { headerToken, tokenSource }
-   * @param {string} attemptLabel - Label for logging
-   * @returns {Object} { ok, status, is403, bodySnippet, headers, loginPage }
+   * Timed pause record for this Sidekiq instance:
+   *   { pageUrl, queues: { actionPathKey: queueName }, startedAt, endsAt, attempts, claimedAt, failed }
+   * queues holds exactly the queues the pause run changed; only those are unpaused.
    */
-  async function doQueuePost(url, formToken, submitName, submitValue, csrfContext, attemptLabel, requestMode) {
-    // Build POST body with form token (as browser would send)
-    const body = new URLSearchParams();
-    body.append('authenticity_token', formToken);
-    body.append(submitName, submitValue);
+  function getTimedPauseKey() {
+    return `${TIMED_PAUSE_STORAGE_PREFIX}${getInstanceKey()}`;
+  }
 
-    const headers = requestMode === 'form'
-      ? buildFormLikeHeaders(csrfContext.headerToken)
-      : buildRailsHeaders(csrfContext.headerToken);
-    const headerTokenPrefix = tokenPrefix(csrfContext.headerToken);
-    const bodyTokenPrefix = tokenPrefix(formToken);
-    const referrer = window.location.href;
-    const redirectMode = requestMode === 'form' ? 'follow' : REQUEST_REDIRECT;
-    const referrerPolicy = requestMode === 'form'
-      ? 'no-referrer-when-downgrade'
-      : 'strict-origin-when-cross-origin';
+  async function loadTimedPause() {
+    return storageGet(getTimedPauseKey(), null);
+  }
 
-    logVerbose(
-      `[${attemptLabel}] POST ${url.pathname} → ${submitName}=${submitValue}`,
-      `(bodyToken=${bodyTokenPrefix}, headerToken=${headerTokenPrefix}, headerSource=${csrfContext.tokenSource})`
-    );
-    logVerbose(
-      `[${attemptLabel}] req mode=${requestMode}, credentials=${REQUEST_CREDENTIALS}, referrer=${referrer}, redirect=${redirectMode}`
-    );
+  async function saveTimedPause(record) {
+    return storageSet(getTimedPauseKey(), record);
+  }
 
-    if (url.origin !== window.location.origin) {
-      throw new Error('SAFETY: Refusing to POST cross-origin request');
-    }
+  async function clearTimedPause() {
+    return storageRemove(getTimedPauseKey());
+  }
 
-    let response;
-    try {
-      response = await fetch(url.toString(), {
-        method: 'POST',
-        headers,
-        body: body.toString(),
-        mode: 'same-origin',
-        credentials: REQUEST_CREDENTIALS,
-        redirect: redirectMode,
-        referrer,
-        referrerPolicy,
-      });
-    } catch (fetchError) {
-      logError(`Fetch error for ${url.pathname}:`, fetchError);
-      return { ok: false, status: 0, is403: false, bodySnippet: fetchError.message, headers: {}, loginPage: false, diagKind: 'UNKNOWN', hasQueuesTable: false };
-    }
-
-    // Extract response metadata for diagnostics
-    const respHeaders = {
-      contentType: response.headers.get('content-type'),
-      location: response.headers.get('location'),
-      xRequestId: response.headers.get('x-request-id'),
-      setCookie: response.headers.get('set-cookie') ? 'present' : 'absent',
-    };
-
-    let bodySnippet = '';
-    let loginPage = false;
-    let bodyText = '';
-    let hasQueuesTable = false;
-    const isHtml = (respHeaders.contentType || '').includes('text/html');
-
-    const shouldReadBody = response.type !== 'opaqueredirect'
-      && (isHtml || response.status >= 400 || (response.status >= 200 && response.status < 300));
-
-    if (shouldReadBody) {
-      try {
-        bodyText = await response.text();
-        if (isHtml) {
-          loginPage = looksLikeLoginPageFromText(bodyText);
-          if (!loginPage) {
-            const parsed = new DOMParser().parseFromString(bodyText, 'text/html');
-            hasQueuesTable = !!parsed.querySelector('table.queues');
-          }
-        }
-      } catch (e) {
-        // Ignore read errors
-      }
-    }
-
-    const redirectIsSafe = (() => {
-      if (!respHeaders.location) return false;
-      try {
-        const redirectUrl = new URL(respHeaders.location, window.location.origin);
-        return redirectUrl.origin === window.location.origin || redirectUrl.pathname.startsWith('/sidekiq/queues');
-      } catch (e) {
-        return false;
-      }
-    })();
-
-    const ok = (response.status === 302 && redirectIsSafe)
-      || (response.status >= 200 && response.status < 300 && !loginPage)
-      || (requestMode === 'form' && response.status === 200 && hasQueuesTable);
-    const is403 = response.status === 403;
-    const diagKind = is403 ? classify403(bodyText, respHeaders) : 'NONE';
+  /**
+   * Checkpoint of the run in progress for this Sidekiq instance:
+   *   { runId, actionType, scopeLabel, queueKeys, filterPattern, thresholds, desiredStates, total,
+   *     succeeded, submitted, meta, runMeta, pageUrl, startedAt, updatedAt }
+   * queueKeys is the targeted actionPathKeys (null = every queue); filterPattern and thresholds
+   * (as compiled by compileThresholds) are the run's name filter and limits, applied again on
+   * resume so a queue that has since dropped under the thresholds is left alone; desiredStates is a plain
+   * actionPathKey -> state object (restore only); succeeded maps actionPathKey -> queueName
+   * and carries over across resumes; submitted holds every queue sent, including any whose
+   * result was lost with the page; meta holds follow-up work (timedPauseMinutes).
+   */
+  function getCheckpointKey() {
+    return `${CHECKPOINT_STORAGE_PREFIX}${getInstanceKey()}`;
+  }
 
-    if (!ok) {
-      const rawSnippet = bodyText || '';
-      const scrubbed = redactSecrets(rawSnippet);
-      bodySnippet = scrubbed.substring(0, 200);
+  async function loadCheckpoint() {
+    const checkpoint = await storageGet(getCheckpointKey(), null);
+    if (checkpoint && Date.now() - Date.parse(checkpoint.updatedAt) > CHECKPOINT_MAX_AGE_MS) {
+      log(`Discarding run checkpoint last updated ${checkpoint.updatedAt}`);
+      await clearCheckpoint();
+      return null;
     }
+    return checkpoint;
+  }
 
-    const classifier = ok ? 'SUCCESS' : 'FAILURE';
-    logVerbose(
-      `[${attemptLabel}] ${classifier} status=${response.status} loginPage=${loginPage} diag=${diagKind}`,
-      `location=${respHeaders.location || 'none'} contentType=${respHeaders.contentType || 'none'} xRequestId=${respHeaders.xRequestId || 'none'}`
-    );
-    if (!ok && bodySnippet) {
-      logVerbose(`[${attemptLabel}] bodySnippet="${bodySnippet}"`);
+  /**
+   * Rewrite the in-progress run's checkpoint with the queues changed so far
+   * Writes are chained so a slow write never lands after a newer one (or after the clear).
+   */
+  function saveRunCheckpoint(changedQueues, submittedQueue = null) {
+    if (!runCheckpoint) return checkpointWrite;
+    runCheckpoint.succeeded = { ...runCheckpoint.succeeded, ...changedQueues };
+    if (submittedQueue) {
+      runCheckpoint.submitted = { ...runCheckpoint.submitted, [submittedQueue.actionPathKey]: submittedQueue.queueName };
     }
+    runCheckpoint.updatedAt = new Date().toISOString();
+    const record = { ...runCheckpoint };
+    broadcastRunProgress();
+    checkpointWrite = checkpointWrite.then(() => storageSet(getCheckpointKey(), record));
+    return checkpointWrite;
+  }
 
-    return {
-      ok,
-      status: response.status,
-      is403,
-      bodySnippet,
-      headers: respHeaders,
-      loginPage,
-      diagKind,
-      hasQueuesTable,
-      requestMode,
-    };
+  function clearCheckpoint() {
+    checkpointWrite = checkpointWrite.then(() => storageRemove(getCheckpointKey()));
+    return checkpointWrite;
   }
 
   /**
-   * Submit an action for a single queue
-   * Returns { ok, status, is403, bodySnippet } - caller handles refresh logic
+   * Save an interrupted run to history from its checkpoint (its in-memory record was lost)
    */
-  async function submitQueueAction(queueInfo, csrfContext, actionTypeOverride) {
-    const { queueName, action, formToken, submitName, submitValue } = queueInfo;
-    const url = new URL(action, window.location.origin);
+  async function recordInterruptedRun(checkpoint) {
+    const changed = checkpoint.succeeded || {};
+    const saved = await saveRunToHistory({
+      id: checkpoint.runId,
+      actionType: checkpoint.actionType,
+      startedAt: checkpoint.startedAt,
+      endedAt: checkpoint.updatedAt,
+      pageUrl: checkpoint.pageUrl,
+      meta: { ...(checkpoint.runMeta || {}), interrupted: true },
+      logs: [],
+      refreshes: [],
+      submissions: [],
+      results: {
+        totalProcessed: Object.keys(changed).length,
+        passesUsed: 0,
+        success: false,
+        errors: [],
+        remainingQueues: [],
+        changedQueues: changed,
+        aborted: true,
+        abortReason: CHECKPOINT_INTERRUPTED_REASON,
+      },
+    });
+    await recordAnnotations(
+      { id: checkpoint.runId, actionType: checkpoint.actionType, meta: checkpoint.runMeta },
+      changed,
+      checkpoint.desiredStates,
+      checkpoint.updatedAt
+    );
+    return saved;
+  }
 
-    // SAFETY: Final guard against delete
-    if (submitName.toLowerCase() === 'delete') {
-      throw new Error('SAFETY: Refusing to submit delete action');
-    }
+  /**
+   * Run annotations for this Sidekiq instance:
+   *   { actionPathKey: { queueName, at, runId, reason, incident } }
+   * Only queues a run paused are kept; a run that unpauses a queue drops its entry. Rows
+   * are annotated while the queue is still paused, so a manual unpause hides the note.
+   */
+  function getAnnotationKey() {
+    return `${ANNOTATION_STORAGE_PREFIX}${getInstanceKey()}`;
+  }
 
-    const effectiveActionType = actionTypeOverride || queueInfo.actionType;
-    const useNativeForm = NATIVE_FORM_ACTIONS.includes(effectiveActionType);
-    let res;
+  async function loadAnnotations() {
+    queueAnnotations = await storageGet(getAnnotationKey(), {});
+    return queueAnnotations;
+  }
 
-    if (useNativeForm) {
-      const nativeRes = await submitViaNativeForm(queueInfo, effectiveActionType);
-      logVerbose(
-        `[native] ${effectiveActionType} ${queueName} mode=${nativeRes.mode} reason=${nativeRes.reason} hasQueuesTable=${nativeRes.hasQueuesTable}`
-      );
-      if (currentRun) {
-        const nativeStatus = nativeRes.forbidden ? 403 : (nativeRes.ok ? 200 : 0);
-        currentRun.submissions.push({
-          ts: new Date().toISOString(),
-          queueName,
-          actionType: effectiveActionType,
-          actionPath: url.pathname,
-          requestMode: 'native',
-          request: {
-            method: 'POST',
-            body: {
-              authenticity_token_prefix: tokenPrefix(formToken),
-              submitName,
-              submitValue,
-            },
-          },
-          response: {
-            status: nativeStatus,
-            loginPage: nativeRes.loginPage || false,
-            hasQueuesTable: nativeRes.hasQueuesTable || false,
-            reason: nativeRes.reason,
-            diagKind: nativeRes.diagKind || 'NONE',
-          },
-        });
-      }
-      if (nativeRes.loginPage) {
-        return { ok: false, status: 200, is403: false, bodySnippet: '', loginPage: true, diagKind: 'LOGIN', hasQueuesTable: nativeRes.hasQueuesTable };
-      }
-      if (nativeRes.ok) {
-        return {
-          ok: true,
-          status: 200,
-          is403: false,
-          bodySnippet: '',
-          loginPage: false,
-          diagKind: 'NONE',
-          hasQueuesTable: nativeRes.hasQueuesTable,
-          freshDoc: nativeRes.doc,
-          freshDocSource: 'iframe',
-        };
-      }
-      if (nativeRes.forbidden) {
-        return {
-          ok: false,
-          status: 403,
-          is403: true,
-          bodySnippet: nativeRes.bodyText ? redactSecrets(nativeRes.bodyText).slice(0, 200) : '',
-          loginPage: false,
-          diagKind: nativeRes.diagKind || 'UNKNOWN',
-          hasQueuesTable: nativeRes.hasQueuesTable,
-        };
+  /**
+   * Record the queues a run changed, with the reason and incident it was started with
+   *
+   * @param {Object} run - { id, actionType, meta } of the run
+   * @param {Object} changedQueues - actionPathKey -> queueName
+   * @param {Object|null} desiredStates - actionPathKey -> 'paused'|'active' (restore runs)
+   * @param {string} at - When the queues were changed (ISO)
+   */
+  async function recordAnnotations(run, changedQueues, desiredStates, at) {
+    const entries = Object.entries(changedQueues || {});
+    if (entries.length === 0) return;
+
+    const meta = run.meta || {};
+    const annotations = { ...(await storageGet(getAnnotationKey(), {})) };
+    for (const [key, queueName] of entries) {
+      const paused = run.actionType === 'restore'
+        ? !!desiredStates && desiredStates[key] === 'paused'
+        : run.actionType === 'pause';
+      if (paused) {
+        annotations[key] = { queueName, at, runId: run.id, reason: meta.reason || '', incident: meta.incident || '' };
+      } else {
+        delete annotations[key];
       }
-      // Native form was attempted but didn't succeed - don't fallback to fetch (avoids double-submit)
-      return {
-        ok: false,
-        status: 0,
-        is403: false,
-        bodySnippet: '',
-        loginPage: false,
-        diagKind: nativeRes.reason || 'NATIVE_FAILED',
-        hasQueuesTable: nativeRes.hasQueuesTable,
-      };
-    }
-
-    if (!effectiveActionType) {
-      logVerbose(`[native] skip ${queueName} missing actionType`);
     }
+    queueAnnotations = annotations;
+    await storageSet(getAnnotationKey(), annotations);
+    markAnnotatedRows();
+  }
 
-    const requestMode = csrfContext.headerToken ? 'xhr' : 'form';
-    res = await doQueuePost(url, formToken, submitName, submitValue, csrfContext, 'attempt', requestMode);
-    if (currentRun) {
-      currentRun.submissions.push({
-        ts: new Date().toISOString(),
-        queueName,
-        actionType: queueInfo.actionType,
-        actionPath: url.pathname,
-        requestMode: res.requestMode,
-        request: {
-          method: 'POST',
-          body: {
-            authenticity_token_prefix: tokenPrefix(formToken),
-            submitName,
-            submitValue,
-          },
-        },
-        response: {
-          status: res.status,
-          location: res.headers ? res.headers.location : null,
-          contentType: res.headers ? res.headers.contentType : null,
-          xRequestId: res.headers ? res.headers.xRequestId : null,
-          diagKind: res.diagKind,
-          loginPage: res.loginPage,
-          hasQueuesTable: res.hasQueuesTable,
-        },
+  /**
+   * Take the instance's Web Lock without waiting (a hint only, see RUN_LOCK_PREFIX)
+   * Web Locks need a secure context; on plain http there is no hint.
+   *
+   * @returns {Promise<boolean|null>} false when held elsewhere, null when unavailable
+   */
+  async function requestRunLockHint() {
+    if (!navigator.locks) return null;
+    try {
+      return await new Promise((resolve, reject) => {
+        navigator.locks.request(`${RUN_LOCK_PREFIX}${getInstanceKey()}`, { ifAvailable: true }, (lock) => {
+          if (!lock) {
+            resolve(false);
+            return undefined;
+          }
+          // Held until released (or until the tab goes away, e.g. a reload or crash)
+          return new Promise((release) => {
+            runLockRelease = release;
+            resolve(true);
+          });
+        }).catch(reject);
       });
+    } catch (error) {
+      logError('Cross-tab run lock unavailable:', error);
+      return null;
     }
+  }
 
-    if (!res.ok) {
-      // Enhanced diagnostics for failures
-      const diagInfo = {
-        queue: queueName,
-        status: res.status,
-        headerCsrfPresent: !!csrfContext.headerToken,
-        headerCsrfSource: csrfContext.tokenSource,
-        responseHeaders: res.headers,
-        bodySnippet: res.bodySnippet,
-        diagKind: res.diagKind,
-        submissionMode: res.requestMode || 'fetch',
-      };
+  /**
+   * Whether a progress record belongs to a run that is still going in another tab
+   */
+  function isLiveRunProgress(progress) {
+    return !!progress && progress.claimId !== runClaimId && Date.now() - progress.updatedAt < REMOTE_RUN_STALE_MS;
+  }
 
-      if (res.is403) {
-        logError(`403 Forbidden for "${queueName}" - diagnostics:`, diagInfo);
-      } else {
-        logError(`HTTP ${res.status} for "${queueName}":`, diagInfo);
+  /**
+   * Claim this instance's cross-tab run slot without waiting
+   * The claim is written to the progress record and read back RUN_CLAIM_SETTLE_MS later:
+   * of two tabs claiming at once, both read back the same last write, so only one proceeds.
+   * A Web Lock held elsewhere with no live record behind it (a page script) is ignored.
+   *
+   * @param {{ actionType: string, scopeLabel: string, done: number, total: number }} progress - Shown
+   *   to the other tabs until the run's first progress write
+   * @returns {Promise<boolean>} false when another tab (or run) holds the slot
+   */
+  async function acquireRunLock(progress) {
+    if (runClaimId) return false;
+    runClaimId = `claim-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const claimId = runClaimId;
+
+    const hint = await requestRunLockHint();
+    let current = await storageGet(getRunProgressKey(), null);
+    if (hint === false && !isLiveRunProgress(current)) {
+      // The tab holding the lock may not have written its claim yet
+      await sleep(RUN_CLAIM_SETTLE_MS);
+      current = await storageGet(getRunProgressKey(), null);
+      if (!isLiveRunProgress(current)) {
+        log('Run lock held without a run in progress (page script?); going by the progress record');
       }
     }
+    if (isLiveRunProgress(current)) {
+      releaseRunLock();
+      return false;
+    }
 
-    return {
-      ok: res.ok,
-      status: res.status,
-      is403: res.is403,
-      bodySnippet: res.bodySnippet,
-      loginPage: res.loginPage,
-      diagKind: res.diagKind,
-      hasQueuesTable: res.hasQueuesTable,
-    };
+    const claim = { ...progress, claimId, runId: claimId, text: '', updatedAt: Date.now() };
+    if (!(await storageSet(getRunProgressKey(), claim))) {
+      // A failing storage area must not block the kill switch itself
+      return true;
+    }
+    await sleep(RUN_CLAIM_SETTLE_MS);
+    const settled = await storageGet(getRunProgressKey(), null);
+    if (!settled || settled.claimId !== claimId) {
+      log('Another tab claimed the run at the same time');
+      releaseRunLock();
+      return false;
+    }
+    return true;
+  }
+
+  function releaseRunLock() {
+    if (runLockRelease) runLockRelease();
+    runLockRelease = null;
+    runClaimId = null;
+  }
+
+  function getRunProgressKey() {
+    return `${RUN_PROGRESS_STORAGE_PREFIX}${getInstanceKey()}`;
   }
 
   /**
-   * Convergence loop: keep processing until all queues reach desired state
-   * or max passes reached
+   * Track runs in this instance's other tabs through their progress records
+   * Only extension contexts can write chrome.storage, so the page can't fake a run.
    *
-   * Token refresh strategy (1.0.5 model with hardening):
+   * @param {Function} onChange - Called whenever remoteRun changes
+   */
+  async function watchRunProgress(onChange) {
+    let staleTimer = null;
+    const setRemoteRun = (progress) => {
+      clearTimeout(staleTimer);
+      // This tab's own record (or claim) is not a run elsewhere
+      if (progress && runClaimId && progress.claimId === runClaimId) progress = null;
+      // A tab that goes away mid-run leaves its record behind; trust it only while it is fresh
+      const silentFor = progress ? Date.now() - progress.updatedAt : 0;
+      if (progress && silentFor >= REMOTE_RUN_STALE_MS) progress = null;
+      if (!progress && !remoteRun) return;
+      if (progress && !remoteRun) log(`Run ${progress.runId} (${progress.actionType}) in progress in another tab`);
+      if (!progress) log(`Run ${remoteRun.runId} in another tab ended or stopped reporting, releasing controls`);
+      remoteRun = progress;
+      if (progress) {
+        staleTimer = setTimeout(() => setRemoteRun(null), REMOTE_RUN_STALE_MS - silentFor);
+      }
+      onChange();
+    };
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes[getRunProgressKey()]) {
+        setRemoteRun(changes[getRunProgressKey()].newValue || null);
+      }
+    });
+    // A tab opened mid-run picks up the running tab's latest record
+    setRemoteRun(await storageGet(getRunProgressKey(), null));
+  }
+
+  /**
+   * Write this tab's run progress (from its checkpoint) for the instance's other tabs
+   * Writes are coalesced: updates made while one is pending go out with it.
+   *
+   * @param {string} [text] - New status text; omitted to re-send the latest
+   */
+  function broadcastRunProgress(text) {
+    if (text !== undefined) runProgressText = text;
+    if (!runCheckpoint || runProgressQueued) return;
+    runProgressQueued = true;
+    runProgressWrite = runProgressWrite.then(() => {
+      runProgressQueued = false;
+      if (!runCheckpoint) return undefined;
+      return storageSet(getRunProgressKey(), {
+        claimId: runClaimId,
+        runId: runCheckpoint.runId,
+        actionType: runCheckpoint.actionType,
+        scopeLabel: runCheckpoint.scopeLabel,
+        text: runProgressText,
+        done: Object.keys(runCheckpoint.succeeded).length,
+        total: runCheckpoint.total,
+        updatedAt: Date.now(),
+      });
+    });
+  }
+
+  function startRunBroadcast(text) {
+    broadcastRunProgress(text);
+    runHeartbeatTimer = setInterval(broadcastRunProgress, RUN_HEARTBEAT_MS);
+  }
+
+  async function endRunBroadcast() {
+    clearInterval(runHeartbeatTimer);
+    runHeartbeatTimer = null;
+    runProgressText = '';
+    await runProgressWrite;
+    const progress = await storageGet(getRunProgressKey(), null);
+    if (progress && runClaimId && progress.claimId === runClaimId) await storageRemove(getRunProgressKey());
+  }
+
+  /**
+   * One-line description of a run in another tab
+   */
+  function describeRemoteRun(progress) {
+    const verb = RUN_LABELS[progress.actionType].progress.toLowerCase();
+    const scope = progress.scopeLabel ? ` ${progress.scopeLabel}` : '';
+    return `${RUN_ELSEWHERE_MESSAGE}: ${verb}${scope}, ${progress.done}/${progress.total} done${progress.text ? ` (${progress.text})` : ''}`;
+  }
+
+  /**
+   * Format a duration picker value (minutes) for display
+   */
+  function formatMinutes(minutes) {
+    return minutes < 60 ? `${minutes} min` : `${minutes / 60} h`;
+  }
+
+  /**
+   * Format a countdown as m:ss (or h:mm:ss)
+   */
+  function formatRemaining(ms) {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+      : `${minutes}:${seconds}`;
+  }
+
+  /**
+   * Check whether a queue is on this host's protected list
+   * Protected queues are never paused by any code path
+   */
+  function isProtectedQueue(queueName) {
+    return !!protectedQueueMatcher && protectedQueueMatcher(queueName);
+  }
+
+  /**
+   * Load this host's protected queue patterns from chrome.storage.sync
+   * Fails closed: while the list can't be read, runs that pause are refused
+   * (see handleBulkAction) rather than treating every queue as unprotected.
+   */
+  async function loadProtectedQueues() {
+    try {
+      const stored = await chrome.storage.sync.get(PROTECTED_STORAGE_KEY);
+      protectedListUnreadable = false;
+      applyProtectedPatterns((stored[PROTECTED_STORAGE_KEY] || {})[window.location.host] || '');
+    } catch (error) {
+      protectedListUnreadable = true;
+      logError('Failed to read protected queues; pausing is blocked until they load:', error);
+    }
+  }
+
+  function applyProtectedPatterns(text) {
+    const { matcher, patterns, error } = compileQueuePattern(text);
+    if (error) {
+      // Fail closed: an unparseable list keeps the previous protection in place
+      logError(`Ignoring invalid protected queue list: ${error}`);
+      return false;
+    }
+    protectedQueueMatcher = matcher;
+    protectedPatterns = patterns;
+    if (patterns.length > 0) {
+      log(`Protected queues: ${patterns.join(' ')}`);
+    }
+    return true;
+  }
+
+  /**
+   * Save this host's protected queue patterns (validated before saving)
+   */
+  async function saveProtectedQueues(text) {
+    const { error } = compileQueuePattern(text);
+    if (error) {
+      return { ok: false, error };
+    }
+    const byHost = await storageGet(PROTECTED_STORAGE_KEY, {}, 'sync');
+    if (text.trim()) {
+      byHost[window.location.host] = text.trim();
+    } else {
+      delete byHost[window.location.host];
+    }
+    const saved = await storageSet(PROTECTED_STORAGE_KEY, byHost, 'sync');
+    return saved && applyProtectedPatterns(text) ? { ok: true } : { ok: false, error: 'Failed to save protected queues (see console)' };
+  }
+
+  /**
+   * Check if we're on the expected Sidekiq Queues page
+   */
+  function isQueuesPage() {
+    return getSelectorProfileInfo().matched && findQueuesTable(document) !== null;
+  }
+
+  /**
+   * Find the header container to inject our controls
+   */
+  function findHeaderContainer() {
+    const profile = getSelectorProfile();
+
+    // Try to find the profile's header container with the Queues heading
+    if (profile.headerContainer) {
+      const headerContainer = document.querySelector(profile.headerContainer);
+      if (headerContainer) {
+        return headerContainer;
+      }
+    }
+
+    // Fallback: find a heading containing "Queues" and use its parent
+    const headings = document.querySelectorAll(profile.heading);
+    for (const heading of headings) {
+      if (heading.textContent.trim().toLowerCase().includes('queue')) {
+        return heading.parentElement;
+      }
+    }
+
+    // Last resort: just use the first heading's parent or body
+    const firstHeading = document.querySelector(profile.heading);
+    return firstHeading ? firstHeading.parentElement : document.body;
+  }
+
+  /**
+   * Sidekiq Web mount path for this page: '/sidekiq', '/admin/jobs', or '' for a root mount
+   * Derived from the URL, so every mount the content script is injected on works.
+   */
+  function getMountPath() {
+    return window.location.pathname.replace(/\/queues(\/.*)?$/, '');
+  }
+
+  /**
+   * Whether this URL is the queues index (not a single queue's page)
+   */
+  function isQueuesIndexPath() {
+    return /\/queues\/?$/.test(window.location.pathname);
+  }
+
+  /**
+   * Extract queue name from a form action under this mount's queues path
+   *
+   * @returns {string|null} Queue name, or null if the action is not a queue action
+   */
+  function parseQueueNameFromAction(action) {
+    let pathname;
+    try {
+      pathname = new URL(action, window.location.origin).pathname;
+    } catch (e) {
+      return null;
+    }
+    const prefix = `${getMountPath()}/queues/`;
+    if (!pathname.startsWith(prefix)) return null;
+    const segment = pathname.slice(prefix.length).split('/')[0];
+    return segment ? decodeURIComponent(segment) : null;
+  }
+
+  /**
+   * Extract queue name from form action URL
+   */
+  function getQueueNameFromAction(action) {
+    return parseQueueNameFromAction(action) || 'unknown';
+  }
+
+  /**
+   * Queue action forms in a container, matched against this mount's queues path
+   */
+  function getQueueForms(container) {
+    return Array.from(container.querySelectorAll('form[action*="/queues/"]'))
+      .filter(form => parseQueueNameFromAction(form.getAttribute('action')) !== null);
+  }
+
+  /**
+   * Convert a glob (`*`, `?`) into an anchored, case-insensitive RegExp
+   */
+  function globToRegExp(glob) {
+    const source = glob
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, 'i');
+  }
+
+  /**
+   * Compile a queue filter expression into a queue name matcher
+   *
+   * Patterns are separated by commas or whitespace:
+   * - Glob: `payments_*`, `mailer_?`
+   * - Regex: `/^critical_(low|high)$/i`
+   * - Negation: a leading `!` excludes matches (e.g. `!critical_*`)
+   *
+   * A queue matches when it matches any positive pattern (or there are none)
+   * and no negative pattern. An empty expression yields a null matcher.
+   *
+   * @param {string} text - Raw filter expression
+   * @returns {{ matcher: Function|null, patterns: string[], error: string|null }}
+   */
+  function compileQueuePattern(text) {
+    const patterns = (text || '').match(/!?\/(?:\\.|[^/])+\/[a-z]*|[^\s,]+/g) || [];
+    if (patterns.length === 0) {
+      return { matcher: null, patterns, error: null };
+    }
+
+    const include = [];
+    const exclude = [];
+    for (const pattern of patterns) {
+      const negated = pattern.startsWith('!');
+      const body = negated ? pattern.slice(1) : pattern;
+      if (!body) {
+        return { matcher: null, patterns, error: `Empty pattern: "${pattern}"` };
+      }
+
+      let regex;
+      const regexLiteral = body.match(/^\/(.+)\/([a-z]*)$/);
+      try {
+        regex = regexLiteral ? new RegExp(regexLiteral[1], regexLiteral[2]) : globToRegExp(body);
+      } catch (e) {
+        return { matcher: null, patterns, error: `Invalid pattern "${pattern}": ${e.message}` };
+      }
+      (negated ? exclude : include).push(regex);
+    }
+
+    const matcher = (queueName) => {
+      if (include.length > 0 && !include.some(re => re.test(queueName))) return false;
+      return !exclude.some(re => re.test(queueName));
+    };
+    return { matcher, patterns, error: null };
+  }
+
+  /**
+   * Compile a threshold expression, e.g. "latency>10m size>50k"
+   * A queue qualifies when any condition holds. Latency takes s/m/h (default seconds),
+   * size takes k/m suffixes; >= is accepted as well as >.
+   *
+   * @param {string} text - Raw threshold expression
+   * @returns {{ thresholds: { conditions: Object[], label: string }|null, error: string|null }}
+   */
+  function compileThresholds(text) {
+    const terms = (text || '').split(/[\s,]+/).filter(Boolean);
+    if (terms.length === 0) {
+      return { thresholds: null, error: null };
+    }
+
+    const conditions = [];
+    for (const term of terms) {
+      const match = /^(latency|size)(>=?)(\d+(?:\.\d+)?)([a-z]*)$/i.exec(term);
+      if (!match) {
+        return { thresholds: null, error: `Invalid threshold "${term}" (e.g. latency>10m or size>50k)` };
+      }
+      const metric = match[1].toLowerCase();
+      const unit = match[4].toLowerCase();
+      if (!(unit in THRESHOLD_UNITS[metric])) {
+        return { thresholds: null, error: `Unknown ${metric} unit "${unit}" in "${term}"` };
+      }
+      conditions.push({
+        metric,
+        inclusive: match[2] === '>=',
+        value: Number(match[3]) * THRESHOLD_UNITS[metric][unit],
+        term: term.toLowerCase(),
+      });
+    }
+    return { thresholds: { conditions, label: conditions.map(c => c.term).join(' or ') }, error: null };
+  }
+
+  /**
+   * Why a form index entry meets a threshold set, e.g. "latency 12m 30s > 10m 00s"
+   * Values missing from the page never qualify.
+   *
+   * @returns {string|null} null when no condition holds
+   */
+  function explainThresholds(thresholds, entry) {
+    const reasons = [];
+    for (const condition of thresholds.conditions) {
+      const actual = condition.metric === 'latency' ? entry.latencySeconds : entry.size;
+      if (actual === null || actual === undefined) continue;
+      if (condition.inclusive ? actual < condition.value : actual <= condition.value) continue;
+      const operator = condition.inclusive ? '≥' : '>';
+      reasons.push(condition.metric === 'latency'
+        ? `latency ${formatLatency(actual)} ${operator} ${formatLatency(condition.value)}`
+        : `size ${actual.toLocaleString()} ${operator} ${condition.value.toLocaleString()}`);
+    }
+    return reasons.length > 0 ? reasons.join(', ') : null;
+  }
+
+  /**
+   * Get the authenticity token from a form element (hidden input)
+   * This is ONLY for the POST body param - not for headers
+   */
+  function getAuthenticityToken(form) {
+    const tokenInput = form.querySelector(getSelectorProfile().tokenInput);
+    return tokenInput ? tokenInput.value : null;
+  }
+
+  /**
+   * Get CSRF token for the X-CSRF-Token header
+   *
+   * IMPORTANT: This must come from a "page-global" source that Rails validates
+   * against. Hidden form inputs are per-form masked tokens and MUST NOT be used
+   * for the header (they cause mismatches).
+   *
+   * Search order:
+   * 1. meta[name="csrf-token"] - Standard Rails approach
+   * 2. Script-embedded tokens - Some apps embed in inline JS
+   *
+   * @param {Document} doc - Document to search
+   * @returns {{ token: string|null, source: string }}
+   */
+  function getHeaderCsrfTokenExtended(doc, htmlText, responseHeaders) {
+    // 1. Standard Rails meta tag (preferred, most reliable)
+    const meta = doc.querySelector(getSelectorProfile().csrfMeta);
+    if (meta) {
+      const content = meta.getAttribute('content');
+      if (content && isTokenLike(content)) {
+        return { token: content.trim(), source: 'meta' };
+      }
+    }
+
+    // 2. meta[name="csrf-param"] + inline scripts
+    const metaParam = doc.querySelector(getSelectorProfile().csrfParamMeta);
+    const paramName = metaParam ? metaParam.getAttribute('content') : null;
+    if (paramName) {
+      const fromParamScript = extractTokenFromInlineScripts(doc, paramName);
+      if (fromParamScript) {
+        return fromParamScript;
+      }
+    }
+
+    // 3. rails-ujs data attributes
+    const dataEl = doc.querySelector('a[data-method][data-remote][data-csrf], button[data-method][data-remote][data-csrf]');
+    if (dataEl) {
+      const dataToken = dataEl.getAttribute('data-csrf');
+      if (isTokenLike(dataToken)) {
+        return { token: dataToken.trim(), source: 'data-csrf-attr' };
+      }
+    }
+
+    // 4. Inline script assignments (conservative patterns only)
+    const fromScripts = extractTokenFromInlineScripts(doc, null);
+    if (fromScripts) {
+      return fromScripts;
+    }
+
+    // 5. Response header fallback (rare)
+    if (responseHeaders && responseHeaders.xCsrfToken && isTokenLike(responseHeaders.xCsrfToken)) {
+      return { token: responseHeaders.xCsrfToken.trim(), source: 'header-x-csrf-token' };
+    }
+
+    // 6. No valid header token source found
+    // IMPORTANT: We do NOT fall back to hidden form inputs - they are for body only
+    return { token: null, source: 'missing' };
+  }
+
+  /**
+   * Find a submit control by action type (pause/unpause) in a form element
+   * PRIMARY: Selects by name attribute (most reliable for Rails forms)
+   * FALLBACK: Selects by value or text content
+   * Supports both <input type="submit"> and <button> elements
+   * Returns null if no matching control found
+   */
+  function findSubmitButton(form, actionType) {
+    // SAFETY: Only allow known action types
+    if (!ALLOWED_ACTIONS.includes(actionType)) {
+      logError(`Invalid action type: ${actionType}`);
+      return null;
+    }
+
+    // SAFETY: Never return a pause control for a protected queue
+    if (actionType === 'pause' && isProtectedQueue(getQueueNameFromAction(form.getAttribute('action') || ''))) {
+      return null;
+    }
+
+    // PRIMARY: Direct name-based selection (most reliable for Rails)
+    // This is how browsers identify which submit button was clicked
+    const byName = form.querySelector(getActionButtonSelector(actionType));
+    if (byName) {
+      // SAFETY: Double-check it's not a delete button
+      const name = (byName.getAttribute('name') || '').toLowerCase();
+      if (!name.includes('delete')) {
+        return byName;
+      }
+    }
+
+    // FALLBACK: Search by value or text content for non-standard forms
+    const candidates = form.querySelectorAll('input[type="submit"], button[type="submit"], button:not([type])');
+
+    for (const el of candidates) {
+      const name = (el.getAttribute('name') || '').trim().toLowerCase();
+      const value = (el.getAttribute('value') || '').trim().toLowerCase();
+      const text = (el.textContent || '').trim().toLowerCase();
+
+      // SAFETY: Explicitly reject delete buttons by name, value, or text
+      if (name.includes('delete') || value.includes('delete') || text.includes('delete')) {
+        continue;
+      }
+
+      // Match by value or text (fallback only)
+      if (value === actionType || text === actionType) {
+        return el;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Fetch the queues page and parse it into a document
+   * Returns a parsed Document for querying fresh DOM state
+   * Also builds form index for efficient subsequent operations
+   *
+   * @param {AbortSignal|null} signal - Defaults to the run's, so Stop cuts a refresh short (rejects
+   *   with an AbortError); pass null for the fetches that must still happen after Stop
+   */
+  async function fetchQueuesPageDocument(contextLabel = 'refresh', signal = getRunSignal()) {
+    const requestedAt = Date.now();
+    const response = await fetch(window.location.href, {
+      method: 'GET',
+      credentials: REQUEST_CREDENTIALS,
+      headers: {
+        'Accept': 'text/html',
+      },
+      signal,
+    });
+
+    const html = await response.text();
+    const parseStart = PERF_ENABLED ? performance.now() : 0;
+    const parser = new DOMParser();
+    const doc = parser.parseFromString(html, 'text/html');
+    perfMark('parseTime', PERF_ENABLED ? performance.now() - parseStart : 0);
+    perfIncr('domQueries');
+
+    const loginPage = looksLikeLoginPageFromDoc(doc) || looksLikeLoginPageFromText(html);
+    const hasQueuesTable = !!findQueuesTable(doc);
+    const responseHeaders = {
+      xCsrfToken: response.headers.get('x-csrf-token'),
+    };
+    const { token: headerToken, source: tokenSource } = getHeaderCsrfTokenExtended(doc, html, responseHeaders);
+
+    // Build form index once for this parsed document
+    const formIndex = hasQueuesTable ? buildFormIndex(doc) : null;
+    if (formIndex) {
+      reportQueueCounts(formIndex);
+      renderOverview(formIndex);
+    }
+
+    log(
+      `[${contextLabel}] GET status=${response.status} loginPage=${loginPage} table.queues=${hasQueuesTable}`,
+      `headerCsrf=${tokenSource}:${tokenPrefix(headerToken)}`
+    );
+    if (ENABLE_RUN_LOGS && currentRun) {
+      currentRun.refreshes.push({
+        ts: new Date().toISOString(),
+        label: contextLabel,
+        status: response.status,
+        loginPage,
+        hasQueuesTable,
+        headerCsrfSource: tokenSource,
+        headerCsrfPrefix: tokenPrefix(headerToken),
+      });
+    }
+    if (!response.ok) {
+      logError(`[${contextLabel}] GET non-OK status=${response.status}`);
+    }
+
+    const result = { doc, htmlText: html, loginPage, status: response.status, ok: response.ok, responseHeaders, formIndex, requestedAt };
+    if (formIndex && !loginPage) {
+      lastFetchedPage = result;
+    }
+    return result;
+  }
+
+  /**
+   * Get actionable queue forms from a document (live DOM or fetched)
+   * Returns array of queue info objects for queues that still need the specified action
+   *
+   * @param {Document} doc - Document to search (live DOM or parsed)
+   * @param {string} actionType - 'pause' or 'unpause'
+   * @param {boolean} verbose - Enable verbose logging
+   * @param {Map} formIndex - Optional pre-built form index for efficiency
+   * @param {Function} queueFilter - Optional (entry) => boolean narrowing the target set
+   */
+  function getActionableQueues(doc, actionType, verbose = false, formIndex = null, queueFilter = null) {
+    const start = PERF_ENABLED ? performance.now() : 0;
+
+    // Use provided index or build one
+    const index = formIndex || buildFormIndex(doc);
+    const actionable = [];
+
+    // Counters for observability
+    let formsWithDelete = 0;
+    let formsNoMatchingAction = 0;
+    let formsNoToken = 0;
+    let formsFilteredOut = 0;
+    let formsProtected = 0;
+
+    for (const [actionPathKey, entry] of index) {
+      const { form, token, pauseBtn, unpauseBtn, queueName, action } = entry;
+
+      // Targeting: queues outside the filter are never touched
+      if (queueFilter && !queueFilter(entry)) {
+        formsFilteredOut++;
+        continue;
+      }
+
+      const submitButton = actionType === 'pause' ? pauseBtn : unpauseBtn;
+
+      // If no submit button for this action, queue is already in desired state
+      if (!submitButton) {
+        // Check if form has delete but no pause/unpause (for debugging)
+        const hasDelete = form.querySelector('input[name="delete"], button[name="delete"]');
+        if (hasDelete) {
+          formsWithDelete++;
+        } else {
+          formsNoMatchingAction++;
+        }
+        continue;
+      }
+
+      // Accept empty string tokens (CSRF disabled on server per sidekiq/sidekiq#6739)
+      if (token === null) {
+        logError(`No authenticity token input for queue: ${queueName}`);
+        formsNoToken++;
+        continue;
+      }
+
+      // Get exact submitName and submitValue from DOM attributes
+      // Rails forms require the exact name=value pair the browser would send
+      const submitName = submitButton.getAttribute('name');
+      const submitValue = submitButton.getAttribute('value');
+
+      // SAFETY: Require name attribute (essential for Rails form submission)
+      if (!submitName) {
+        logError(`Submit button has no name attribute for queue: ${queueName}`);
+        continue;
+      }
+
+      // SAFETY: Final check - reject delete
+      if (submitName.toLowerCase() === 'delete') {
+        logError(`SAFETY: Skipping delete button for queue: ${queueName}`);
+        continue;
+      }
+
+      // SAFETY: Protected queues are never paused
+      if (actionType === 'pause' && isProtectedQueue(queueName)) {
+        formsProtected++;
+        if (verbose) {
+          logVerbose(`  Queue "${queueName}": protected, skipping pause`);
+        }
+        continue;
+      }
+
+      // Log the exact name=value pair we'll submit (helps debugging)
+      if (verbose) {
+        logVerbose(`  Queue "${queueName}": will submit ${submitName}=${submitValue}`);
+      }
+
+      actionable.push({
+        queueName,
+        action,
+        actionPathKey, // Used to re-find form after page refetch
+        formToken: token,      // For POST body authenticity_token param
+        submitName,
+        submitValue: submitValue || submitName, // Fallback to name if value missing
+        actionType,
+      });
+    }
+
+    if (verbose) {
+      logVerbose(`Enumeration: ${index.size} total forms, ${actionable.length} actionable for "${actionType}"`);
+      logVerbose(`  - Already in desired state: ${formsNoMatchingAction}`);
+      logVerbose(`  - Delete-only forms: ${formsWithDelete}`);
+      logVerbose(`  - Missing token: ${formsNoToken}`);
+      if (queueFilter) {
+        logVerbose(`  - Excluded by filter: ${formsFilteredOut}`);
+      }
+      if (actionType === 'pause') {
+        logVerbose(`  - Protected: ${formsProtected}`);
+      }
+    }
+
+    perfMark('enumerateTime', PERF_ENABLED ? performance.now() - start : 0);
+    return actionable;
+  }
+
+  /**
+   * Get the queues a run still needs to submit, for any run type
+   *
+   * pause/unpause delegate to getActionableQueues. restore enumerates both
+   * actions, each narrowed to the queues whose recorded state it restores,
+   * so every returned queue info carries its own actionType.
+   *
+   * @param {Document} doc - Document to search (live DOM or parsed)
+   * @param {string} actionType - 'pause', 'unpause' or 'restore'
+   * @param {boolean} verbose - Enable verbose logging
+   * @param {Map} formIndex - Optional pre-built form index for efficiency
+   * @param {Object} target - { queueFilter, desiredStates, thresholds } (desiredStates required for
+   *   restore; thresholds from compileThresholds are checked against this document's size/latency
+   *   columns, and each returned queue info then carries the reason it qualified)
+   */
+  function getTargetQueues(doc, actionType, verbose = false, formIndex = null, target = {}) {
+    const { queueFilter = null, desiredStates = null, thresholds = null } = target;
+    const index = formIndex || buildFormIndex(doc);
+    const filter = thresholds
+      ? (entry) => (!queueFilter || queueFilter(entry)) && explainThresholds(thresholds, entry) !== null
+      : queueFilter;
+
+    let queues;
+    if (actionType !== 'restore') {
+      queues = getActionableQueues(doc, actionType, verbose, index, filter);
+    } else {
+      const wants = (state) => (entry) => desiredStates.get(entry.actionPathKey) === state
+        && (!filter || filter(entry));
+      queues = [
+        ...getActionableQueues(doc, 'pause', verbose, index, wants('paused')),
+        ...getActionableQueues(doc, 'unpause', verbose, index, wants('active')),
+      ];
+    }
+
+    if (thresholds) {
+      for (const queue of queues) {
+        queue.reason = explainThresholds(thresholds, index.get(queue.actionPathKey));
+      }
+    }
+    return queues;
+  }
+
+  /**
+   * Build a map of actionPathKey -> queue info from an actionable list
+   * Used to update tokens for remaining queues after a refresh
+   *
+   * @param {Object[]} actionable - Output of getTargetQueues
+   */
+  function buildQueueTokenMap(actionable) {
+    const map = new Map();
+    for (const q of actionable) {
+      map.set(q.actionPathKey, q);
+    }
+    return map;
+  }
+
+  /**
+   * Build headers for Rails-compatible form submission
+   *
+   * @param {string|null} headerCsrfToken - CSRF token for X-CSRF-Token header
+   * @returns {Object} Headers object for fetch
+   */
+  function buildRailsHeaders(headerCsrfToken) {
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
+      'Accept': 'text/html, */*;q=0.1',
+      'Cache-Control': 'no-cache',
+      'X-Requested-With': 'XMLHttpRequest', // Rails expects this for AJAX requests
+    };
+
+    // Always include X-CSRF-Token if we have a valid header token
+    if (headerCsrfToken) {
+      headers['X-CSRF-Token'] = headerCsrfToken;
+    }
+
+    // Try to set Origin header (may be restricted in some contexts)
+    try {
+      headers['Origin'] = window.location.origin;
+    } catch (e) {
+      // Origin header restricted, proceed without
+    }
+
+    // Some headers (like Referer) are forbidden to set; rely on fetch referrer.
+    return headers;
+  }
+
+  function buildFormLikeHeaders(headerCsrfToken) {
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'Cache-Control': 'no-cache',
+    };
+
+    if (headerCsrfToken) {
+      headers['X-CSRF-Token'] = headerCsrfToken;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Perform a single POST request for a queue action
+   * Uses redirect: 'manual' to properly detect 302 redirects as success
+   *
+   * @param {URL} url - Target URL
+   * @param {string} formToken - Token for POST body (from form hidden input)
+   * @param {string} submitName - Form field name
+   * @param {string} submitValue - Form field value
+   * @param {Object} csrfContext - { headerToken, tokenSource }
+   * @param {string} attemptLabel - Label for logging
+   * @returns {Object} { ok, status, is403, throttled, retryAfterMs, bodySnippet, headers, loginPage }
+   */
+  async function doQueuePost(url, formToken, submitName, submitValue, csrfContext, attemptLabel, requestMode) {
+    // Build POST body with form token (as browser would send)
+    const body = new URLSearchParams();
+    body.append('authenticity_token', formToken);
+    body.append(submitName, submitValue);
+
+    const headers = requestMode === 'form'
+      ? buildFormLikeHeaders(csrfContext.headerToken)
+      : buildRailsHeaders(csrfContext.headerToken);
+    const headerTokenPrefix = tokenPrefix(csrfContext.headerToken);
+    const bodyTokenPrefix = tokenPrefix(formToken);
+    const referrer = window.location.href;
+    const redirectMode = requestMode === 'form' ? 'follow' : REQUEST_REDIRECT;
+    const referrerPolicy = requestMode === 'form'
+      ? 'no-referrer-when-downgrade'
+      : 'strict-origin-when-cross-origin';
+
+    logVerbose(
+      `[${attemptLabel}] POST ${url.pathname} → ${submitName}=${submitValue}`,
+      `(bodyToken=${bodyTokenPrefix}, headerToken=${headerTokenPrefix}, headerSource=${csrfContext.tokenSource})`
+    );
+    logVerbose(
+      `[${attemptLabel}] req mode=${requestMode}, credentials=${REQUEST_CREDENTIALS}, referrer=${referrer}, redirect=${redirectMode}`
+    );
+
+    if (url.origin !== window.location.origin) {
+      throw new Error('SAFETY: Refusing to POST cross-origin request');
+    }
+
+    let response;
+    try {
+      response = await fetch(url.toString(), {
+        method: 'POST',
+        headers,
+        body: body.toString(),
+        mode: 'same-origin',
+        credentials: REQUEST_CREDENTIALS,
+        redirect: redirectMode,
+        referrer,
+        referrerPolicy,
+        signal: getRunSignal(),
+      });
+    } catch (fetchError) {
+      if (fetchError.name === 'AbortError') {
+        log(`POST ${url.pathname} aborted (run stopped)`);
+        return { ok: false, status: 0, is403: false, throttled: false, retryAfterMs: null, bodySnippet: '', headers: {}, loginPage: false, diagKind: 'STOPPED', hasQueuesTable: false };
+      }
+      logError(`Fetch error for ${url.pathname}:`, fetchError);
+      return { ok: false, status: 0, is403: false, throttled: false, retryAfterMs: null, bodySnippet: fetchError.message, headers: {}, loginPage: false, diagKind: 'UNKNOWN', hasQueuesTable: false };
+    }
+
+    // Extract response metadata for diagnostics
+    const respHeaders = {
+      contentType: response.headers.get('content-type'),
+      location: response.headers.get('location'),
+      xRequestId: response.headers.get('x-request-id'),
+      retryAfter: response.headers.get('retry-after'),
+      setCookie: response.headers.get('set-cookie') ? 'present' : 'absent',
+    };
+
+    let bodySnippet = '';
+    let loginPage = false;
+    let bodyText = '';
+    let hasQueuesTable = false;
+    const isHtml = (respHeaders.contentType || '').includes('text/html');
+
+    const shouldReadBody = response.type !== 'opaqueredirect'
+      && (isHtml || response.status >= 400 || (response.status >= 200 && response.status < 300));
+
+    if (shouldReadBody) {
+      try {
+        bodyText = await response.text();
+        if (isHtml) {
+          loginPage = looksLikeLoginPageFromText(bodyText);
+          if (!loginPage) {
+            const parsed = new DOMParser().parseFromString(bodyText, 'text/html');
+            hasQueuesTable = !!findQueuesTable(parsed);
+          }
+        }
+      } catch (e) {
+        // Ignore read errors
+      }
+    }
+
+    const redirectIsSafe = (() => {
+      if (!respHeaders.location) return false;
+      try {
+        const redirectUrl = new URL(respHeaders.location, window.location.origin);
+        return redirectUrl.origin === window.location.origin || redirectUrl.pathname.startsWith(`${getMountPath()}/queues`);
+      } catch (e) {
+        return false;
+      }
+    })();
+
+    const ok = (response.status === 302 && redirectIsSafe)
+      || (response.status >= 200 && response.status < 300 && !loginPage)
+      || (requestMode === 'form' && response.status === 200 && hasQueuesTable);
+    const is403 = response.status === 403;
+    const throttled = THROTTLE_STATUSES.includes(response.status);
+    const retryAfterMs = throttled ? parseRetryAfter(respHeaders.retryAfter) : null;
+    const diagKind = is403 ? classify403(bodyText, respHeaders) : (throttled ? 'THROTTLED' : 'NONE');
+
+    if (!ok) {
+      const rawSnippet = bodyText || '';
+      const scrubbed = redactSecrets(rawSnippet);
+      bodySnippet = scrubbed.substring(0, 200);
+    }
+
+    const classifier = ok ? 'SUCCESS' : 'FAILURE';
+    logVerbose(
+      `[${attemptLabel}] ${classifier} status=${response.status} loginPage=${loginPage} diag=${diagKind}`,
+      `location=${respHeaders.location || 'none'} contentType=${respHeaders.contentType || 'none'} xRequestId=${respHeaders.xRequestId || 'none'}`
+    );
+    if (!ok && bodySnippet) {
+      logVerbose(`[${attemptLabel}] bodySnippet="${bodySnippet}"`);
+    }
+
+    return {
+      ok,
+      status: response.status,
+      is403,
+      throttled,
+      retryAfterMs,
+      bodySnippet,
+      headers: respHeaders,
+      loginPage,
+      diagKind,
+      hasQueuesTable,
+      requestMode,
+    };
+  }
+
+  /**
+   * Decide how a queue action will be submitted
+   * - native: pause/unpause go through the real form into the hidden iframe
+   * - xhr: fetch with Rails AJAX headers when a page-global CSRF token exists
+   * - form: fetch mimicking a browser form post (body token only)
+   *
+   * @returns {'native'|'xhr'|'form'}
+   */
+  function resolveSubmissionMode(actionType, csrfContext) {
+    if (NATIVE_FORM_ACTIONS.includes(actionType)) {
+      return 'native';
+    }
+    return csrfContext.headerToken ? 'xhr' : 'form';
+  }
+
+  /**
+   * Submit an action for a single queue
+   * Returns { ok, status, is403, bodySnippet } - caller handles refresh logic
+   */
+  async function submitQueueAction(queueInfo, csrfContext, actionTypeOverride, slot = 0) {
+    const { queueName, action, formToken, submitName, submitValue } = queueInfo;
+    const url = new URL(action, window.location.origin);
+
+    // SAFETY: Final guard against delete
+    if (submitName.toLowerCase() === 'delete') {
+      throw new Error('SAFETY: Refusing to submit delete action');
+    }
+
+    const effectiveActionType = actionTypeOverride || queueInfo.actionType;
+
+    // SAFETY: Final guard against pausing a protected queue
+    if ((effectiveActionType === 'pause' || submitName.toLowerCase() === 'pause') && isProtectedQueue(queueName)) {
+      throw new Error(`SAFETY: Refusing to pause protected queue "${queueName}"`);
+    }
+
+    const submissionMode = resolveSubmissionMode(effectiveActionType, csrfContext);
+    const useNativeForm = submissionMode === 'native';
+    const startedAt = new Date();
+    let res;
+
+    if (useNativeForm) {
+      const nativeRes = await submitViaNativeForm(queueInfo, effectiveActionType, slot);
+      logVerbose(
+        `[native] ${effectiveActionType} ${queueName} mode=${nativeRes.mode} reason=${nativeRes.reason} hasQueuesTable=${nativeRes.hasQueuesTable}`
+      );
+      if (currentRun) {
+        const nativeStatus = nativeRes.throttled ? nativeRes.status : (nativeRes.forbidden ? 403 : (nativeRes.ok ? 200 : 0));
+        currentRun.submissions.push({
+          ts: new Date().toISOString(),
+          startedAt: startedAt.toISOString(),
+          durationMs: Date.now() - startedAt.getTime(),
+          slot,
+          queueName,
+          actionType: effectiveActionType,
+          actionPath: url.pathname,
+          requestMode: 'native',
+          request: {
+            method: 'POST',
+            body: {
+              authenticity_token_prefix: tokenPrefix(formToken),
+              submitName,
+              submitValue,
+            },
+          },
+          response: {
+            status: nativeStatus,
+            loginPage: nativeRes.loginPage || false,
+            hasQueuesTable: nativeRes.hasQueuesTable || false,
+            reason: nativeRes.reason,
+            diagKind: nativeRes.diagKind || 'NONE',
+          },
+        });
+      }
+      if (nativeRes.loginPage) {
+        return { ok: false, status: 200, is403: false, bodySnippet: '', loginPage: true, diagKind: 'LOGIN', hasQueuesTable: nativeRes.hasQueuesTable };
+      }
+      if (nativeRes.ok) {
+        return {
+          ok: true,
+          status: 200,
+          is403: false,
+          bodySnippet: '',
+          loginPage: false,
+          diagKind: 'NONE',
+          hasQueuesTable: nativeRes.hasQueuesTable,
+          freshDoc: nativeRes.doc,
+          freshDocSource: 'iframe',
+        };
+      }
+      if (nativeRes.throttled) {
+        return {
+          ok: false,
+          status: nativeRes.status,
+          is403: false,
+          throttled: true,
+          retryAfterMs: null,
+          bodySnippet: '',
+          loginPage: false,
+          diagKind: 'THROTTLED',
+          hasQueuesTable: false,
+        };
+      }
+      if (nativeRes.forbidden) {
+        return {
+          ok: false,
+          status: 403,
+          is403: true,
+          bodySnippet: nativeRes.bodyText ? redactSecrets(nativeRes.bodyText).slice(0, 200) : '',
+          loginPage: false,
+          diagKind: nativeRes.diagKind || 'UNKNOWN',
+          hasQueuesTable: nativeRes.hasQueuesTable,
+        };
+      }
+      // Native form was attempted but didn't succeed - don't fallback to fetch (avoids double-submit)
+      return {
+        ok: false,
+        status: 0,
+        is403: false,
+        bodySnippet: '',
+        loginPage: false,
+        diagKind: nativeRes.reason || 'NATIVE_FAILED',
+        hasQueuesTable: nativeRes.hasQueuesTable,
+      };
+    }
+
+    if (!effectiveActionType) {
+      logVerbose(`[native] skip ${queueName} missing actionType`);
+    }
+
+    const requestMode = submissionMode;
+    res = await doQueuePost(url, formToken, submitName, submitValue, csrfContext, 'attempt', requestMode);
+    if (currentRun) {
+      currentRun.submissions.push({
+        ts: new Date().toISOString(),
+        startedAt: startedAt.toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+        slot,
+        queueName,
+        actionType: queueInfo.actionType,
+        actionPath: url.pathname,
+        requestMode: res.requestMode,
+        request: {
+          method: 'POST',
+          body: {
+            authenticity_token_prefix: tokenPrefix(formToken),
+            submitName,
+            submitValue,
+          },
+        },
+        response: {
+          status: res.status,
+          location: res.headers ? res.headers.location : null,
+          contentType: res.headers ? res.headers.contentType : null,
+          xRequestId: res.headers ? res.headers.xRequestId : null,
+          retryAfter: res.headers ? res.headers.retryAfter : null,
+          diagKind: res.diagKind,
+          loginPage: res.loginPage,
+          hasQueuesTable: res.hasQueuesTable,
+        },
+      });
+    }
+
+    if (!res.ok && !res.throttled) {
+      // Enhanced diagnostics for failures (pushback is logged by noteThrottled)
+      const diagInfo = {
+        queue: queueName,
+        status: res.status,
+        headerCsrfPresent: !!csrfContext.headerToken,
+        headerCsrfSource: csrfContext.tokenSource,
+        responseHeaders: res.headers,
+        bodySnippet: res.bodySnippet,
+        diagKind: res.diagKind,
+        submissionMode: res.requestMode || 'fetch',
+      };
+
+      if (res.is403) {
+        logError(`403 Forbidden for "${queueName}" - diagnostics:`, diagInfo);
+      } else {
+        logError(`HTTP ${res.status} for "${queueName}":`, diagInfo);
+      }
+    }
+
+    return {
+      ok: res.ok,
+      status: res.status,
+      is403: res.is403,
+      throttled: res.throttled,
+      retryAfterMs: res.retryAfterMs,
+      bodySnippet: res.bodySnippet,
+      loginPage: res.loginPage,
+      diagKind: res.diagKind,
+      hasQueuesTable: res.hasQueuesTable,
+    };
+  }
+
+  /**
+   * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+   *
+   * @returns {number|null} null when missing or unparseable
+   */
+  function parseRetryAfter(value) {
+    if (!value) return null;
+    const trimmed = String(value).trim();
+    if (/^\d+$/.test(trimmed)) return Number(trimmed) * 1000;
+    const date = Date.parse(trimmed);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Adaptive pacing for one run, shared by all submission workers
+   * delayMs replaces POST_DELAY_MS between submissions; resumeAt holds every
+   * worker while the server has asked us to back off.
+   */
+  function createThrottle(stats) {
+    return { stats, delayMs: POST_DELAY_MS, resumeAt: 0, fastestMs: null };
+  }
+
+  function setThrottleDelay(throttle, delayMs) {
+    // Never faster than the configured delay
+    throttle.delayMs = Math.round(Math.max(POST_DELAY_MS, Math.min(THROTTLE_MAX_DELAY_MS, delayMs)));
+    throttle.stats.peakPostDelayMs = Math.max(throttle.stats.peakPostDelayMs, throttle.delayMs);
+  }
+
+  /**
+   * Record a 429/503: hold all workers for Retry-After (or the default wait) and double the delay
+   */
+  function noteThrottled(throttle, queueName, status, retryAfterMs) {
+    const hasRetryAfter = retryAfterMs !== null && retryAfterMs !== undefined;
+    const waitMs = Math.min(hasRetryAfter ? retryAfterMs : THROTTLE_DEFAULT_WAIT_MS, THROTTLE_MAX_WAIT_MS);
+    throttle.resumeAt = Math.max(throttle.resumeAt, Date.now() + waitMs);
+    setThrottleDelay(throttle, Math.max(throttle.delayMs * 2, 250));
+
+    const { stats } = throttle;
+    stats.throttledCount++;
+    if (hasRetryAfter) stats.retryAfterCount++;
+    stats.throttleWaitMs += waitMs;
+    if (stats.throttleEvents.length < THROTTLE_MAX_EVENTS) {
+      stats.throttleEvents.push({
+        ts: new Date().toISOString(),
+        queue: queueName,
+        status,
+        retryAfterMs: hasRetryAfter ? retryAfterMs : null,
+        waitMs,
+        delayMs: throttle.delayMs,
+      });
+    }
+    log(`Server pushback (HTTP ${status}) on "${queueName}" - waiting ${waitMs}ms${hasRetryAfter ? ' (Retry-After)' : ''}, POST delay now ${throttle.delayMs}ms`);
+  }
+
+  /**
+   * Adapt the delay to response latency: back off on slow responses, recover toward POST_DELAY_MS otherwise
+   */
+  function noteLatency(throttle, durationMs) {
+    throttle.fastestMs = throttle.fastestMs === null ? durationMs : Math.min(throttle.fastestMs, durationMs);
+    if (durationMs >= THROTTLE_SLOW_MIN_MS && durationMs > throttle.fastestMs * THROTTLE_SLOW_FACTOR) {
+      throttle.stats.slowResponseCount++;
+      setThrottleDelay(throttle, Math.max(throttle.delayMs * 1.5, 100));
+      logVerbose(`Slow response (${durationMs}ms, fastest ${throttle.fastestMs}ms) - POST delay now ${throttle.delayMs}ms`);
+    } else if (throttle.delayMs > POST_DELAY_MS) {
+      setThrottleDelay(throttle, throttle.delayMs * 0.8);
+    }
+  }
+
+  /**
+   * Wait until the server's requested back-off has passed (may be extended while waiting)
+   */
+  async function waitForThrottle(throttle, signal) {
+    while (Date.now() < throttle.resumeAt && !(signal && signal.aborted)) {
+      await sleep(throttle.resumeAt - Date.now(), signal);
+    }
+  }
+
+  /**
+   * Convergence loop: keep processing until all queues reach desired state
+   * or max passes reached
+   *
+   * Token refresh strategy (1.0.5 model with hardening):
    * - On first 403 in a pass: refresh page, update all tokens, retry that queue
    * - Subsequent 403s in same pass: do NOT refresh again, leave to next pass
+   *
+   * Each pass runs SUBMIT_CONCURRENCY workers over one shared work list
+   * (each worker has its own iframe slot and POST_DELAY_MS between its own
+   * submissions). Timing per pass is recorded in results.timing.
+   *
+   * Server pushback (429/503) pauses all workers (Retry-After when given)
+   * and requeues the queue; the POST delay adapts to pushback and latency
+   * (see createThrottle). Events are recorded in results.stats.
+   *
+   * @param {string} actionType - 'pause', 'unpause' or 'restore'
+   * @param {Function} updateStatus - Progress callback
+   * @param {Object} target - { queueFilter, desiredStates } applied to every enumeration, including final-check
+   */
+  async function convergeQueues(actionType, updateStatus, target = {}) {
+    const results = {
+      totalProcessed: 0,
+      passesUsed: 0,
+      success: false,
+      errors: [],
+      remainingQueues: [],
+      changedQueues: {},     // actionPathKey -> queueName for every accepted submission
+      reasons: {},           // actionPathKey -> { queueName, reason, pass, droppedAtPass }: why a threshold run chose it
+      aborted: false,
+      abortReason: '',
+      cancelled: false,      // Stopped by the user (aborted with RUN_STOPPED_REASON)
+      timing: {
+        concurrency: SUBMIT_CONCURRENCY,
+        startedAt: new Date().toISOString(),
+        passes: [],       // { pass, workers, submitted, durationMs }
+        submissionsEndedAt: null,   // When the last pass with submissions finished
+        totalMs: 0,
+      },
+      stats: {
+        initial403Count: 0,
+        retrySuccessCount: 0,
+        tokenRefreshCount: 0,
+        headerCsrfSource: 'unknown',
+        throttledCount: 0,       // 429/503 responses
+        retryAfterCount: 0,      // ...of which carried a Retry-After
+        throttleWaitMs: 0,       // Total back-off requested
+        slowResponseCount: 0,
+        peakPostDelayMs: POST_DELAY_MS,
+        throttleEvents: [],      // { ts, queue, status, retryAfterMs, waitMs, delayMs }, capped
+      },
+    };
+    const throttle = createThrottle(results.stats);
+
+    // Stop button: end between submissions; queues left unverified are settled by the final check
+    const signal = getRunSignal();
+    const submittedQueues = new Map();   // actionPathKey -> queueName for every submission sent
+    const stopRequested = () => {
+      if (!signal || !signal.aborted) return false;
+      if (!results.aborted) {
+        results.aborted = true;
+        results.cancelled = true;
+        results.abortReason = RUN_STOPPED_REASON;
+        log('Run stopped by user');
+      }
+      return true;
+    };
+
+    const actionLabel = RUN_LABELS[actionType].progress;
+    const doneLabel = RUN_LABELS[actionType].done;
+
+    for (let pass = 1; pass <= MAX_PASSES; pass++) {
+      if (stopRequested()) break;
+      results.passesUsed = pass;
+
+      // Fetch fresh page state (except first pass where we use live DOM)
+      let doc;
+      let htmlText = null;
+      let responseHeaders = null;
+      let passFormIndex = null;  // Form index for this pass
+
+      if (pass === 1) {
+        doc = document;
+        invalidateFormIndexCache();  // Ensure fresh cache for first pass
+        passFormIndex = getLiveFormIndex();
+        log(`Pass ${pass}/${MAX_PASSES}: Using live DOM`);
+      } else {
+        log(`Pass ${pass}/${MAX_PASSES}: Fetching fresh page state...`);
+        updateStatus(`Pass ${pass}/${MAX_PASSES}: Checking remaining queues...`);
+        try {
+          const fetchResult = await fetchQueuesPageDocument(`pass-${pass}`);
+          doc = fetchResult.doc;
+          htmlText = fetchResult.htmlText;
+          responseHeaders = fetchResult.responseHeaders;
+          passFormIndex = fetchResult.formIndex;  // Use pre-built index from fetch
+          if (fetchResult.loginPage) {
+            results.aborted = true;
+            results.abortReason = 'Session expired / not authorized (login page detected)';
+            logError(results.abortReason);
+            break;
+          }
+        } catch (error) {
+          if (stopRequested()) break;
+          logError(`Failed to fetch page state:`, error);
+          doc = document;
+          invalidateFormIndexCache();
+          passFormIndex = getLiveFormIndex();
+        }
+      }
+
+      // Get header CSRF token (page-global source only, never from form inputs)
+      let { token: headerToken, source: tokenSource } = getHeaderCsrfTokenExtended(doc, htmlText, responseHeaders);
+      const csrfContext = {
+        headerToken,
+        tokenSource,
+      };
+
+      results.stats.headerCsrfSource = tokenSource;
+      log(`Pass ${pass} CSRF: headerToken=${headerToken ? tokenPrefix(headerToken) : 'MISSING'}, source=${tokenSource}`);
+
+      if (!headerToken && pass === 1) {
+        log('Pass 1 preflight: header CSRF missing, refreshing page before POSTs...');
+        try {
+          const fetchResult = await fetchQueuesPageDocument('preflight-pass1');
+          doc = fetchResult.doc;
+          htmlText = fetchResult.htmlText;
+          responseHeaders = fetchResult.responseHeaders;
+          if (fetchResult.loginPage) {
+            results.aborted = true;
+            results.abortReason = 'Session expired / not authorized (login page detected)';
+            logError(results.abortReason);
+            break;
+          }
+          const updated = getHeaderCsrfTokenExtended(doc, htmlText, responseHeaders);
+          headerToken = updated.token;
+          tokenSource = updated.source;
+          csrfContext.headerToken = headerToken;
+          csrfContext.tokenSource = tokenSource;
+          results.stats.headerCsrfSource = tokenSource;
+          log(`Preflight CSRF: headerToken=${headerToken ? tokenPrefix(headerToken) : 'MISSING'}, source=${tokenSource}`);
+        } catch (error) {
+          if (stopRequested()) break;
+          logError('Preflight refresh failed:', error);
+        }
+      }
+
+      if (!headerToken) {
+        log(`  ⚠ No header CSRF token found - running in body-only mode (higher 403 rate expected)`);
+      }
+
+      // Get queues that still need action (verbose logging on first pass)
+      // Use form index for efficient enumeration
+      const actionable = getTargetQueues(doc, actionType, pass === 1 && DEBUG_LEVEL >= 2, passFormIndex, target);
+      const alreadySucceededKeys = new Set();
+
+      // Thresholds are re-evaluated on every pass; keep the latest reason for each chosen queue
+      // and note the ones that fell back under the thresholds before they were changed
+      if (target.thresholds) {
+        const thresholdIndex = passFormIndex || buildFormIndex(doc);
+        for (const [key, chosen] of Object.entries(results.reasons)) {
+          const entry = thresholdIndex.get(key);
+          if (entry && !results.changedQueues[key] && !chosen.droppedAtPass
+            && explainThresholds(target.thresholds, entry) === null) {
+            chosen.droppedAtPass = pass;
+            log(`Queue "${chosen.queueName}" no longer over threshold at pass ${pass}, leaving it`);
+          }
+        }
+        for (const queue of actionable) {
+          results.reasons[queue.actionPathKey] = { queueName: queue.queueName, reason: queue.reason, pass };
+          logVerbose(`  Queue "${queue.queueName}": chosen by threshold (${queue.reason})`);
+        }
+      }
+
+      if (actionable.length === 0) {
+        log(`Pass ${pass}/${MAX_PASSES}: All queues ${doneLabel}!`);
+        updateStatus(`All queues ${doneLabel}`);
+        results.success = true;
+        results.remainingQueues = [];
+        break;
+      }
+
+      log(`Pass ${pass}/${MAX_PASSES}: ${actionable.length} queues need ${actionType}`);
+      updateStatus(`Pass ${pass}/${MAX_PASSES}: ${actionLabel} ${actionable.length} remaining...`);
+
+      // Track token refresh for this pass (at most one refresh per pass)
+      let tokenRefreshedThisPass = false;
+
+      // Work list shared by the submission workers. A fresh page (from a submit
+      // or a token refresh) replaces what is left, minus queues that already
+      // succeeded or are still in flight on another worker.
+      let pending = actionable.slice();
+      const inFlight = new Set();
+      let attempted = 0;
+      let submitted = 0;
+      const replacePending = (freshList) => {
+        pending = freshList.filter(q => !alreadySucceededKeys.has(q.actionPathKey) && !inFlight.has(q.actionPathKey));
+      };
+
+      // Throttled queues go back on the list a few times, then wait for the next pass
+      const throttleRetries = new Map();
+      const requeueThrottled = (queueInfo) => {
+        const retries = (throttleRetries.get(queueInfo.actionPathKey) || 0) + 1;
+        throttleRetries.set(queueInfo.actionPathKey, retries);
+        if (retries <= THROTTLE_RETRIES_PER_PASS) {
+          pending.push(queueInfo);
+        } else {
+          log(`"${queueInfo.queueName}" still throttled - deferred to next pass`);
+        }
+      };
+
+      /**
+       * Submit one queue and handle the outcome (verification, 403 refresh, abort)
+       */
+      const processQueue = async (queueInfo, slot) => {
+        try {
+          submitted++;
+          submittedQueues.set(queueInfo.actionPathKey, queueInfo.queueName);
+          const submitStartedAt = Date.now();
+          const result = await submitQueueAction(queueInfo, csrfContext, queueInfo.actionType, slot);
+          // Cut short by Stop: not an error, the final check decides whether it landed
+          if (!result.ok && stopRequested()) return;
+          if (!result.throttled) {
+            noteLatency(throttle, Date.now() - submitStartedAt);
+          }
+
+          if (result.ok) {
+            results.totalProcessed++;
+            results.changedQueues[queueInfo.actionPathKey] = queueInfo.queueName;
+            logVerbose(`✓ ${queueInfo.actionType} ${queueInfo.queueName}`);
+            alreadySucceededKeys.add(queueInfo.actionPathKey);
+
+            if (result.freshDoc) {
+              const updated = getHeaderCsrfTokenExtended(result.freshDoc, null, null);
+              if (updated.token !== csrfContext.headerToken) {
+                csrfContext.headerToken = updated.token;
+                csrfContext.tokenSource = updated.source;
+                results.stats.headerCsrfSource = updated.source;
+              }
+              // Rebuild form index from fresh doc
+              const freshFormIndex = buildFormIndex(result.freshDoc);
+              replacePending(getTargetQueues(result.freshDoc, actionType, false, freshFormIndex, target));
+              // Also invalidate live form cache since page state changed
+              invalidateFormIndexCache();
+            }
+          } else if (result.throttled) {
+            noteThrottled(throttle, queueInfo.queueName, result.status, result.retryAfterMs);
+            requeueThrottled(queueInfo);
+          } else if (result.is403) {
+            results.stats.initial403Count++;
+
+            if (result.loginPage || result.diagKind === 'LOGIN') {
+              results.aborted = true;
+              results.abortReason = 'Session expired / not authorized (login page detected on POST)';
+              logError(results.abortReason);
+              return;
+            }
+
+            // On first 403 of this pass, refresh tokens and retry this one queue.
+            // Claimed before the first await so concurrent 403s defer instead of refreshing too.
+            if (!tokenRefreshedThisPass) {
+              tokenRefreshedThisPass = true;
+              log(`First 403 this pass - refreshing tokens and retrying "${queueInfo.queueName}"...`);
+
+              try {
+                const fetchResult = await fetchQueuesPageDocument('token-refresh');
+                const freshDoc = fetchResult.doc;
+                const freshHtmlText = fetchResult.htmlText;
+                const freshHeaders = fetchResult.responseHeaders;
+                if (fetchResult.loginPage) {
+                  results.aborted = true;
+                  results.abortReason = 'Session expired / not authorized (login page detected on refresh)';
+                  logError(results.abortReason);
+                  return;
+                }
+                const { token: freshHeaderToken, source: freshSource } = getHeaderCsrfTokenExtended(
+                  freshDoc,
+                  freshHtmlText,
+                  freshHeaders
+                );
+                csrfContext.headerToken = freshHeaderToken;
+                csrfContext.tokenSource = freshSource;
+                results.stats.tokenRefreshCount++;
+                results.stats.headerCsrfSource = freshSource;
+
+                log(`Token refresh: headerToken=${freshHeaderToken ? tokenPrefix(freshHeaderToken) : 'MISSING'}, source=${freshSource}`);
+
+                // Build form index for fresh doc
+                const refreshFormIndex = fetchResult.formIndex || buildFormIndex(freshDoc);
+
+                // Retry this queue with fresh tokens (if still actionable)
+                const freshActionable = getTargetQueues(freshDoc, actionType, false, refreshFormIndex, target);
+                const freshMap = buildQueueTokenMap(freshActionable);
+                const fresh = freshMap.get(queueInfo.actionPathKey);
+                if (fresh) {
+                  queueInfo.formToken = fresh.formToken;
+                }
+                submitted++;
+                const retryResult = await submitQueueAction(queueInfo, csrfContext, queueInfo.actionType, slot);
+                if (!retryResult.ok && stopRequested()) return;
+                if (retryResult.ok) {
+                  results.totalProcessed++;
+                  results.stats.retrySuccessCount++;
+                  results.changedQueues[queueInfo.actionPathKey] = queueInfo.queueName;
+                  logVerbose(`✓ ${queueInfo.actionType} ${queueInfo.queueName} (after token refresh)`);
+                  alreadySucceededKeys.add(queueInfo.actionPathKey);
+                } else if (retryResult.throttled) {
+                  noteThrottled(throttle, queueInfo.queueName, retryResult.status, retryResult.retryAfterMs);
+                  requeueThrottled(queueInfo);
+                } else if (retryResult.is403 && (retryResult.loginPage || retryResult.diagKind === 'LOGIN')) {
+                  results.aborted = true;
+                  results.abortReason = 'Session expired / not authorized (login page detected after retry)';
+                  logError(results.abortReason);
+                  return;
+                } else {
+                  // Still failed after refresh - likely RBAC, not CSRF
+                  results.errors.push({
+                    queue: queueInfo.queueName,
+                    error: `HTTP ${retryResult.status} after token refresh (likely RBAC/permission)`,
+                    pass
+                  });
+                  logError(`Still failed after refresh: ${queueInfo.queueName} - HTTP ${retryResult.status}`);
+                }
+
+                // Rebuild the work list after refresh to reduce drift (reuse form index)
+                replacePending(freshActionable);
+                invalidateFormIndexCache();
+              } catch (refreshErr) {
+                if (stopRequested()) return;
+                results.errors.push({
+                  queue: queueInfo.queueName,
+                  error: `403 + refresh failed: ${refreshErr.message}`,
+                  pass
+                });
+                logError(`Token refresh failed for ${queueInfo.queueName}:`, refreshErr);
+              }
+            } else {
+              // Already refreshed this pass - don't refresh again, defer to next pass
+              log(`403 for "${queueInfo.queueName}" - deferred to next pass (already refreshed this pass)`);
+              // Don't add to errors - will be retried next pass
+            }
+          } else {
+            // Non-403 error
+            results.errors.push({
+              queue: queueInfo.queueName,
+              error: `HTTP ${result.status}`,
+              pass
+            });
+            logError(`Failed: ${queueInfo.queueName} - HTTP ${result.status}`);
+          }
+        } catch (error) {
+          results.errors.push({
+            queue: queueInfo.queueName,
+            error: String(error.message || error),
+            pass
+          });
+          logError(`Error processing ${queueInfo.queueName}:`, error);
+        }
+      };
+
+      /**
+       * One submission worker: takes queues from the shared list until it is empty
+       * Each worker submits through its own iframe slot.
+       */
+      const runWorker = async (slot) => {
+        while (pending.length > 0 && !results.aborted && !stopRequested()) {
+          const queueInfo = pending.shift();
+          attempted++;
+          const progressMsg = `Pass ${pass}/${MAX_PASSES}: ${actionLabel} ${attempted}/${attempted + pending.length} (${queueInfo.queueName})`;
+          updateStatus(progressMsg);
+
+          if (ENABLE_LIVE_DOM_RECHECK && attempted > 1 && (attempted - 1) % LIVE_DOM_RECHECK_INTERVAL === 0) {
+            // Use cheap targeted check instead of full enumeration
+            // Just check if the specific queue's action button still exists
+            invalidateFormIndexCache(); // Refresh cache for accurate check
+            const liveIndex = getLiveFormIndex();
+            const liveEntry = liveIndex.get(queueInfo.actionPathKey);
+            const liveSubmitBtn = liveEntry
+              ? (queueInfo.actionType === 'pause' ? liveEntry.pauseBtn : liveEntry.unpauseBtn)
+              : null;
+            if (!liveSubmitBtn) {
+              logVerbose(`Skipping ${queueInfo.queueName} (already in desired state per live DOM)`);
+              continue;
+            }
+          }
+
+          if (Date.now() < throttle.resumeAt) {
+            updateStatus(`Pass ${pass}/${MAX_PASSES}: Server asked to slow down, waiting ${Math.ceil((throttle.resumeAt - Date.now()) / 1000)}s...`);
+          }
+          await waitForThrottle(throttle, signal);
+          if (results.aborted || stopRequested()) return;
+
+          inFlight.add(queueInfo.actionPathKey);
+          // Recorded before sending: if the page dies mid-submit, a resume checks whether it landed
+          await saveRunCheckpoint(results.changedQueues, queueInfo);
+          try {
+            await processQueue(queueInfo, slot);
+          } finally {
+            inFlight.delete(queueInfo.actionPathKey);
+          }
+          // Survives a reload or crash from here on (see loadCheckpoint)
+          await saveRunCheckpoint(results.changedQueues);
+
+          // Brief delay between requests for rate limiting (per worker, adapted by the throttle)
+          if (pending.length > 0 && !results.aborted) {
+            await sleep(throttle.delayMs, signal);
+          }
+        }
+      };
+
+      const workerCount = Math.min(SUBMIT_CONCURRENCY, actionable.length);
+      const passStartedAt = Date.now();
+      await Promise.all(Array.from({ length: workerCount }, (_, slot) => runWorker(slot)));
+      const passDurationMs = Date.now() - passStartedAt;
+      results.timing.passes.push({ pass, workers: workerCount, submitted, durationMs: passDurationMs });
+      if (submitted > 0) {
+        results.timing.submissionsEndedAt = new Date().toISOString();
+      }
+      log(`Pass ${pass}/${MAX_PASSES}: ${submitted} submission(s) in ${passDurationMs}ms with ${workerCount} worker(s)`);
+
+      if (results.aborted) {
+        break;
+      }
+
+      // If not the last pass, wait for server state to settle
+      if (pass < MAX_PASSES) {
+        log(`Waiting for server state to settle...`);
+        await sleep(PASS_DELAY_MS, signal);
+      }
+    }
+
+    // Final check if we exhausted all passes
+    if (!results.success) {
+      log(`Checking final state after ${results.passesUsed} pass(es)...`);
+      try {
+        // Not cancellable: after Stop this check settles the submissions that may have landed
+        const fetchResult = await fetchQueuesPageDocument('final-check', null);
+        const finalDoc = fetchResult.doc;
+        const remaining = getTargetQueues(finalDoc, actionType, false, fetchResult.formIndex, target);
+        results.remainingQueues = remaining.map(q => q.queueName);
+
+        if (results.cancelled) {
+          // Submissions cut short by Stop may still have landed; count those the server shows as changed
+          const remainingKeys = new Set(remaining.map(q => q.actionPathKey));
+          for (const [key, queueName] of submittedQueues) {
+            if (!remainingKeys.has(key)) results.changedQueues[key] = queueName;
+          }
+        }
+
+        if (remaining.length === 0) {
+          results.success = true;
+          log('All queues reached desired state after final check');
+        } else {
+          logError(`Incomplete: ${remaining.length} queues still not ${doneLabel}:`, results.remainingQueues);
+        }
+      } catch (error) {
+        logError('Failed to perform final state check:', error);
+      }
+    }
+
+    results.timing.totalMs = Date.now() - Date.parse(results.timing.startedAt);
+    log(`Timing: total=${results.timing.totalMs}ms, concurrency=${results.timing.concurrency}, passes=[${results.timing.passes.map(p => `${p.submitted}@${p.durationMs}ms`).join(', ')}]`);
+
+    // Summary line for easy log analysis
+    log(`Summary: passes=${results.passesUsed}, ok=${results.totalProcessed}, initial403=${results.stats.initial403Count}, retriedOk=${results.stats.retrySuccessCount}, refreshes=${results.stats.tokenRefreshCount}, throttled=${results.stats.throttledCount}, slow=${results.stats.slowResponseCount}, peakDelay=${results.stats.peakPostDelayMs}ms, headerCsrfSource=${results.stats.headerCsrfSource}`);
+
+    return results;
+  }
+
+  /**
+   * Count total queues on the page
    */
-  async function convergeQueues(actionType, updateStatus) {
-    const results = {
-      totalProcessed: 0,
-      passesUsed: 0,
-      success: false,
-      errors: [],
-      remainingQueues: [],
-      aborted: false,
-      abortReason: '',
-      stats: {
-        initial403Count: 0,
-        retrySuccessCount: 0,
-        tokenRefreshCount: 0,
-        headerCsrfSource: 'unknown',
+  function getTotalQueueCount() {
+    const table = findQueuesTable(document);
+    if (!table) return 0;
+    return getQueueForms(table).length;
+  }
+
+  /**
+   * Check whether a form index entry is inside a run's target set
+   */
+  function isTargetedEntry(entry, target) {
+    const { queueFilter = null, desiredStates = null, thresholds = null } = target;
+    return (!desiredStates || desiredStates.has(entry.actionPathKey))
+      && (!queueFilter || queueFilter(entry))
+      && (!thresholds || explainThresholds(thresholds, entry) !== null);
+  }
+
+  /**
+   * Targeted queues that would be paused but are protected (skipped by getActionableQueues)
+   *
+   * @returns {string[]} Queue names
+   */
+  function getProtectedSkipped(formIndex, actionType, target) {
+    const { desiredStates = null } = target;
+    return Array.from(formIndex.values())
+      .filter(entry => entry.pauseBtn && isTargetedEntry(entry, target) && isProtectedQueue(entry.queueName)
+        && (actionType === 'pause' || (actionType === 'restore' && desiredStates.get(entry.actionPathKey) === 'paused')))
+      .map(entry => entry.queueName);
+  }
+
+  /**
+   * Dry run: enumerate exactly what a bulk run would submit, without POSTing
+   *
+   * Goes through the same getTargetQueues enumeration, the native submission's
+   * form lookup (findLiveFormForQueue) and the pass-1 CSRF resolution (including
+   * the preflight GET when the live page has no header token) that convergeQueues uses.
+   *
+   * @returns {Object} Report: { actionType, scope, csrf, queues[], protectedSkipped[], ... }
+   */
+  async function buildDryRunReport(actionType, target = {}, scopeLabel = '') {
+    // The same cached live index findLiveFormForQueue reads, rebuilt as pass 1 does
+    invalidateFormIndexCache();
+    const liveIndex = getLiveFormIndex();
+    const actionable = getTargetQueues(document, actionType, false, liveIndex, target);
+
+    // Same header CSRF resolution as pass 1 of convergeQueues (a GET is not a submission)
+    let csrf = getHeaderCsrfTokenExtended(document, null, null);
+    let csrfPreflight = false;
+    if (!csrf.token) {
+      csrfPreflight = true;
+      try {
+        const fetchResult = await fetchQueuesPageDocument('dry-run-preflight');
+        csrf = getHeaderCsrfTokenExtended(fetchResult.doc, fetchResult.htmlText, fetchResult.responseHeaders);
+      } catch (error) {
+        logError('Dry run preflight refresh failed:', error);
+      }
+    }
+    const csrfContext = { headerToken: csrf.token, tokenSource: csrf.source };
+
+    const queues = actionable.map((q) => {
+      const live = findLiveFormForQueue(q.actionPathKey, q.actionType);
+      const checked = live ? live.submitButton : null;
+      const safe = !!checked && checked.getAttribute('name') === q.submitName;
+      return {
+        queueName: q.queueName,
+        actionType: q.actionType,
+        actionPath: new URL(q.action, window.location.origin).pathname,
+        submit: `${q.submitName}=${q.submitValue}`,
+        bodyToken: q.formToken ? `form-input:${tokenPrefix(q.formToken)}` : 'form-input:empty',
+        headerToken: csrfContext.headerToken ? `${csrfContext.tokenSource}:${tokenPrefix(csrfContext.headerToken)}` : 'missing',
+        mode: resolveSubmissionMode(q.actionType, csrfContext),
+        safety: safe ? 'ok' : 'BLOCKED: the native form lookup found no matching control',
+        reason: q.reason || null,
+      };
+    });
+
+    return {
+      generatedAt: new Date().toISOString(),
+      pageUrl: window.location.href,
+      actionType,
+      scope: scopeLabel || null,
+      totalQueues: liveIndex.size,
+      csrf: {
+        source: csrfContext.tokenSource,
+        prefix: tokenPrefix(csrfContext.headerToken),
+        preflight: csrfPreflight,
       },
+      protectedSkipped: getProtectedSkipped(liveIndex, actionType, target),
+      queues,
     };
+  }
 
-    const actionLabel = actionType === 'pause' ? 'Pausing' : 'Unpausing';
-    const doneLabel = actionType === 'pause' ? 'paused' : 'unpaused';
+  /**
+   * Render a dry-run report into the report panel
+   */
+  function renderDryRunReport(panel, report) {
+    const blocked = report.queues.filter(q => q.safety !== 'ok').length;
+    const lines = [
+      `Dry run: ${report.actionType}${report.scope ? ` ${report.scope}` : ''} — ${report.queues.length} of ${report.totalQueues} queue(s) would be submitted. Nothing was POSTed.`,
+      `Header CSRF: ${report.csrf.source} (${report.csrf.prefix})${report.csrf.preflight ? ' via preflight GET' : ''}`,
+      report.protectedSkipped.length > 0 ? `Protected (skipped): ${report.protectedSkipped.join(', ')}` : null,
+      blocked > 0 ? `${blocked} queue(s) blocked by findSubmitButton safety checks` : null,
+    ].filter(Boolean);
+
+    const body = panel.querySelector('.sqks-report-body');
+    body.replaceChildren(...lines.map(line => createElement('div', null, line)));
+    body.appendChild(createHistoryTable([
+      ['Queue', q => q.queueName],
+      ['Action', q => q.actionType],
+      ['Submits', q => q.submit],
+      ['Body token', q => q.bodyToken],
+      ['Header CSRF', q => q.headerToken],
+      ['Mode', q => q.mode],
+      ['Safety', q => q.safety],
+      ...(report.queues.some(q => q.reason) ? [['Chosen because', q => q.reason]] : []),
+    ], report.queues));
+    panel.hidden = false;
+  }
 
-    for (let pass = 1; pass <= MAX_PASSES; pass++) {
-      results.passesUsed = pass;
+  /**
+   * Rows for the confirmation preview: every queue the run will submit, straight from
+   * getTargetQueues (built on getActionableQueues), with its current size and latency
+   *
+   * @param {Object[]} actionable - Output of getTargetQueues
+   * @param {Map} formIndex - Index the queues were enumerated from
+   */
+  function getConfirmPreview(actionable, formIndex) {
+    return actionable.map((queue) => {
+      const entry = formIndex.get(queue.actionPathKey);
+      const size = entry ? entry.size : null;
+      const latencySeconds = entry ? entry.latencySeconds : null;
+      return {
+        queueName: queue.queueName,
+        actionType: queue.actionType,
+        size,
+        latencySeconds,
+        reason: queue.reason || null,
+        backlog: queue.actionType === 'unpause' && (
+          (size !== null && size >= RELEASED_BACKLOG_MIN_SIZE)
+          || (latencySeconds !== null && latencySeconds >= RELEASED_BACKLOG_MIN_LATENCY_SECONDS)
+        ),
+      };
+    });
+  }
 
-      // Fetch fresh page state (except first pass where we use live DOM)
-      let doc;
-      let htmlText = null;
-      let responseHeaders = null;
-      let passFormIndex = null;  // Form index for this pass
+  /**
+   * Main action handler for bulk runs (pause/unpause all, restore snapshot)
+   *
+   * @param {string} actionType - 'pause', 'unpause' or 'restore'
+   * @param {HTMLElement} statusElement - Status text element
+   * @param {HTMLElement[]} buttons - Controls to disable while running
+   * @param {Object} options - { queueFilter, desiredStates, thresholds, scopeLabel } narrowing the target set
+   *   (scopeLabel describes it, e.g. 'matching "payments_*"' or 'in selection';
+   *   desiredStates maps actionPathKey -> 'paused'|'active' and is required for restore;
+   *   thresholds (see compileThresholds) keeps only queues over a latency/size limit on each pass;
+   *   confirmNote is appended to the confirmation; confirmFn replaces showConfirmDialog, e.g. to ask
+   *   in the toolbar popup (may be async); unattended skips it for scheduled runs;
+   *   reason and incident prefill the confirmation's reason fields, or are used as-is when unattended;
+   *   onStart is called once the run is confirmed and starting, e.g. to show the Stop button;
+   *   resumeFrom is the checkpoint of an interrupted run this one continues, and checkpointMeta
+   *   is stored in the checkpoint for follow-up work after a resume; filterPattern is the name
+   *   pattern behind queueFilter, stored in the checkpoint so a resume filters the same way)
+   * @returns {Promise<Object|undefined>} Run results, or undefined if nothing was run
+   */
+  async function handleBulkAction(actionType, statusElement, buttons, options = {}) {
+    const {
+      queueFilter = null,
+      desiredStates = null,
+      thresholds = null,
+      scopeLabel = '',
+      confirmNote = '',
+      confirmFn = showConfirmDialog,
+      unattended = false,
+      reason = '',
+      incident = '',
+      onStart = null,
+      resumeFrom = null,
+      checkpointMeta = null,
+      filterPattern = '',
+    } = options;
+    const target = { queueFilter, desiredStates, thresholds };
+    const narrowed = !!(queueFilter || desiredStates || thresholds);
+    const totalQueues = getTotalQueueCount();
 
-      if (pass === 1) {
-        doc = document;
-        invalidateFormIndexCache();  // Ensure fresh cache for first pass
-        passFormIndex = getLiveFormIndex();
-        log(`Pass ${pass}/${MAX_PASSES}: Using live DOM`);
-      } else {
-        log(`Pass ${pass}/${MAX_PASSES}: Fetching fresh page state...`);
-        updateStatus(`Pass ${pass}/${MAX_PASSES}: Checking remaining queues...`);
-        try {
-          const fetchResult = await fetchQueuesPageDocument(`pass-${pass}`);
-          doc = fetchResult.doc;
-          htmlText = fetchResult.htmlText;
-          responseHeaders = fetchResult.responseHeaders;
-          passFormIndex = fetchResult.formIndex;  // Use pre-built index from fetch
-          if (fetchResult.loginPage) {
-            results.aborted = true;
-            results.abortReason = 'Session expired / not authorized (login page detected)';
-            logError(results.abortReason);
-            break;
-          }
-        } catch (error) {
-          logError(`Failed to fetch page state:`, error);
-          doc = document;
-          invalidateFormIndexCache();
-          passFormIndex = getLiveFormIndex();
+    // SAFETY: without the protected list, any queue could be one that must never be paused
+    if (actionType !== 'unpause' && protectedListUnreadable) {
+      await loadProtectedQueues();
+      if (protectedListUnreadable) {
+        statusElement.textContent = 'Protected queues could not be read; not pausing (try again or reload the page)';
+        statusElement.className = 'sqks-status sqks-status-error';
+        return;
+      }
+    }
+
+    if (totalQueues === 0) {
+      statusElement.textContent = 'No queues found';
+      statusElement.className = 'sqks-status sqks-status-error';
+      return;
+    }
+
+    const liveIndex = buildFormIndex(document);
+    const targetedKeys = narrowed
+      ? Array.from(liveIndex.values()).filter(entry => isTargetedEntry(entry, target)).map(entry => entry.actionPathKey)
+      : null;
+    const targetQueues = narrowed ? targetedKeys.length : totalQueues;
+
+    // A resumed run with nothing left to do has finished; drop its checkpoint
+    const settleResume = () => (resumeFrom && !bulkActionInProgress ? clearCheckpoint() : null);
+
+    if (targetQueues === 0) {
+      statusElement.textContent = `No queues ${scopeLabel}`;
+      statusElement.className = 'sqks-status sqks-status-error';
+      await settleResume();
+      return;
+    }
+
+    // Get initial actionable count
+    const initialActionable = getTargetQueues(document, actionType, false, liveIndex, target);
+
+    // Queues submitted before an interruption that are no longer actionable did land
+    const resumedSucceeded = resumeFrom ? { ...resumeFrom.succeeded } : {};
+    if (resumeFrom) {
+      const stillActionable = new Set(initialActionable.map(q => q.actionPathKey));
+      for (const [key, queueName] of Object.entries(resumeFrom.submitted || {})) {
+        if (!stillActionable.has(key)) resumedSucceeded[key] = queueName;
+      }
+    }
+    const actionLabel = RUN_LABELS[actionType].progress;
+    const doneLabel = RUN_LABELS[actionType].done;
+
+    const protectedSkipped = getProtectedSkipped(liveIndex, actionType, target);
+    const protectedNote = protectedSkipped.length > 0
+      ? `\n\nSkipping ${protectedSkipped.length} protected queue(s): ${protectedSkipped.slice(0, 20).join(', ')}${protectedSkipped.length > 20 ? ', …' : ''}`
+      : '';
+
+    if (initialActionable.length === 0 && protectedSkipped.length > 0) {
+      statusElement.textContent = `Nothing to ${RUN_LABELS[actionType].verb.toLowerCase()}: ${protectedSkipped.length} protected queue(s) skipped`;
+      statusElement.className = 'sqks-status';
+      await settleResume();
+      return;
+    }
+
+    if (initialActionable.length === 0) {
+      statusElement.textContent = narrowed
+        ? `All ${targetQueues} queues ${scopeLabel} already ${doneLabel}`
+        : `All ${totalQueues} queues already ${doneLabel}`;
+      statusElement.className = 'sqks-status sqks-status-success';
+      await settleResume();
+      return;
+    }
+
+    if (bulkActionInProgress) {
+      statusElement.textContent = 'Already running...';
+      statusElement.className = 'sqks-status';
+      return;
+    }
+
+    if (remoteRun) {
+      statusElement.textContent = RUN_ELSEWHERE_MESSAGE;
+      statusElement.className = 'sqks-status sqks-status-error';
+      return;
+    }
+
+    // Confirmation dialog
+    const countLabel = narrowed
+      ? `${initialActionable.length} queue(s) ${scopeLabel} (${totalQueues - targetQueues} not targeted)`
+      : `${initialActionable.length} queue(s)`;
+    let confirmMessage;
+    if (actionType === 'restore') {
+      const pauseCount = initialActionable.filter(q => q.actionType === 'pause').length;
+      confirmMessage = `Restore ${scopeLabel}? This will pause ${pauseCount} and unpause ${initialActionable.length - pauseCount} queue(s).`;
+    } else if (actionType === 'pause') {
+      confirmMessage = `Pause ${countLabel}? This will stop queue processing until unpaused.`;
+    } else {
+      confirmMessage = `Unpause ${countLabel}?`;
+    }
+    if (thresholds) {
+      const shown = initialActionable.slice(0, 15).map(q => `  ${q.queueName}: ${q.reason}`);
+      if (initialActionable.length > shown.length) shown.push(`  … and ${initialActionable.length - shown.length} more`);
+      confirmMessage += `\n\nChosen by threshold (re-checked on every pass):\n${shown.join('\n')}`;
+    }
+    const preview = getConfirmPreview(initialActionable, liveIndex);
+    const backlogs = preview.filter(q => q.backlog);
+    if (backlogs.length > 0) {
+      const jobs = backlogs.reduce((sum, q) => sum + (q.size || 0), 0);
+      const names = backlogs.slice(0, 10).map(q => q.queueName);
+      confirmMessage += `\n\nReleases large backlogs: ${jobs.toLocaleString()} job(s) in ${backlogs.length} queue(s): ${names.join(', ')}${backlogs.length > 10 ? ', …' : ''}`;
+    }
+
+    // SAFETY: only scheduled runs the user already confirmed (timed-pause auto-unpause) skip this
+    let answer = { confirmed: true, reason, incident };
+    if (!unattended) {
+      answer = await confirmFn(confirmMessage + protectedNote + confirmNote, {
+        actionType,
+        actionWord: RUN_LABELS[actionType].verb.toUpperCase(),
+        queues: preview,
+        reason,
+        incident,
+      });
+      // A plain boolean answer confirms without a reason
+      if (typeof answer !== 'object' || answer === null) answer = { confirmed: !!answer };
+    }
+    if (!answer.confirmed) {
+      statusElement.textContent = 'Cancelled';
+      statusElement.className = 'sqks-status';
+      return;
+    }
+    const runReason = String(answer.reason || '').trim().slice(0, RUN_REASON_MAX_LENGTH);
+    const runIncident = String(answer.incident || '').trim().slice(0, RUN_INCIDENT_MAX_LENGTH);
+
+    // SAFETY: one run per instance across tabs; two tabs submitting at once fight each other
+    const claimProgress = {
+      actionType,
+      scopeLabel,
+      done: Object.keys(resumedSucceeded).length,
+      total: resumeFrom ? resumeFrom.total : initialActionable.length,
+    };
+    if (bulkActionInProgress || !(await acquireRunLock(claimProgress))) {
+      statusElement.textContent = bulkActionInProgress ? 'Already running...' : RUN_ELSEWHERE_MESSAGE;
+      statusElement.className = 'sqks-status sqks-status-error';
+      return;
+    }
+
+    // Disable buttons during operation
+    buttons.forEach(btn => btn.disabled = true);
+    statusElement.textContent = `${actionLabel}...`;
+    statusElement.className = 'sqks-status sqks-status-progress';
+    statusElement.removeAttribute('title');
+    bulkActionInProgress = true;
+    runAbortController = new AbortController();
+    if (onStart) onStart();
+
+    // Record every queue's state first so the run can be undone exactly
+    const snapshot = await saveSnapshot(
+      `Before ${actionType} ${new Date().toLocaleString()}`,
+      buildFormIndex(document),
+      true
+    );
+
+    perfStart();  // Start performance tracking
+    startRun(actionType, {
+      totalQueues,
+      targetQueues,
+      initialActionable: initialActionable.length,
+      scope: scopeLabel || null,
+      reason: runReason,
+      incident: runIncident,
+      thresholds: thresholds ? thresholds.label : null,
+      snapshotId: snapshot ? snapshot.id : null,
+      protectedPatterns: protectedPatterns.slice(),
+      protectedQueues: protectedSkipped,
+      resumedFrom: resumeFrom ? resumeFrom.runId : null,
+    });
+
+    // Checkpoint the run's intent so a reload or crash mid-run can be resumed
+    ownCheckpointRunId = currentRun.id;
+    runCheckpoint = {
+      runId: currentRun.id,
+      actionType,
+      scopeLabel,
+      queueKeys: resumeFrom ? resumeFrom.queueKeys : targetedKeys,
+      filterPattern: filterPattern || null,
+      thresholds,
+      desiredStates: desiredStates ? Object.fromEntries(desiredStates) : null,
+      total: resumeFrom ? resumeFrom.total : initialActionable.length,
+      succeeded: { ...resumedSucceeded },
+      submitted: resumeFrom ? { ...resumeFrom.submitted } : {},
+      meta: checkpointMeta,
+      runMeta: currentRun.meta,
+      pageUrl: currentRun.pageUrl,
+      startedAt: resumeFrom ? resumeFrom.startedAt : currentRun.startedAt,
+      updatedAt: null,
+    };
+    await saveRunCheckpoint({});
+    startRunBroadcast(statusElement.textContent);
+
+    let finalResults = null;
+    try {
+      const results = await convergeQueues(
+        actionType,
+        (msg) => {
+          statusElement.textContent = msg;
+          broadcastRunProgress(msg);
+        },
+        target
+      );
+      finalResults = results;
+      if (resumeFrom) {
+        // Queues changed before the interruption belong to this run too (e.g. for timed pause)
+        results.changedQueues = { ...resumedSucceeded, ...results.changedQueues };
+      }
+      await recordAnnotations(
+        currentRun,
+        results.changedQueues,
+        runCheckpoint.desiredStates,
+        results.timing.submissionsEndedAt || new Date().toISOString()
+      );
+
+      // Build result message
+      let resultMessage;
+      if (results.cancelled) {
+        const changed = Object.values(results.changedQueues);
+        const notChanged = results.remainingQueues;
+        const listNames = (names) => `${names.slice(0, 10).join(', ')}${names.length > 10 ? ', …' : ''}`;
+        resultMessage = `Stopped: ${changed.length} queue(s) ${doneLabel}, ${notChanged.length} not ${doneLabel}`;
+        statusElement.className = 'sqks-status sqks-status-error';
+        statusElement.title = [
+          changed.length > 0 ? `${doneLabel[0].toUpperCase()}${doneLabel.slice(1)}: ${listNames(changed)}` : '',
+          notChanged.length > 0 ? `Not ${doneLabel}: ${listNames(notChanged)}` : '',
+        ].filter(Boolean).join('\n');
+        log(`Stopped by user. Changed (${doneLabel}):`, changed);
+        log(`Stopped by user. Not ${doneLabel}:`, notChanged);
+      } else if (results.aborted) {
+        resultMessage = results.abortReason || 'Session expired / not authorized';
+        statusElement.className = 'sqks-status sqks-status-error';
+      } else if (results.success) {
+        resultMessage = narrowed
+          ? `Done: All queues ${scopeLabel} ${doneLabel}`
+          : `Done: All queues ${doneLabel}`;
+        if (results.passesUsed > 1) {
+          resultMessage += ` (${results.passesUsed} passes)`;
         }
+        statusElement.className = 'sqks-status sqks-status-success';
+      } else {
+        resultMessage = `Incomplete after ${results.passesUsed} passes: ${results.remainingQueues.length} queue(s) still not ${doneLabel}`;
+        statusElement.className = 'sqks-status sqks-status-error';
+        logError('Remaining queues:', results.remainingQueues);
       }
 
-      // Get header CSRF token (page-global source only, never from form inputs)
-      let { token: headerToken, source: tokenSource } = getHeaderCsrfTokenExtended(doc, htmlText, responseHeaders);
-      const csrfContext = {
-        headerToken,
-        tokenSource,
-      };
+      if (protectedSkipped.length > 0) {
+        resultMessage += ` (${protectedSkipped.length} protected skipped)`;
+      }
+
+      if (results.stats.throttledCount > 0) {
+        resultMessage += ` (server throttled ${results.stats.throttledCount}×)`;
+      }
+
+      if (results.errors.length > 0) {
+        resultMessage += ` (${results.errors.length} error(s))`;
+        logError('Errors during processing:', results.errors);
+      }
 
-      results.stats.headerCsrfSource = tokenSource;
-      log(`Pass ${pass} CSRF: headerToken=${headerToken ? tokenPrefix(headerToken) : 'MISSING'}, source=${tokenSource}`);
+      statusElement.textContent = resultMessage;
+      log(`Final results:`, results);
 
-      if (!headerToken && pass === 1) {
-        log('Pass 1 preflight: header CSRF missing, refreshing page before POSTs...');
-        try {
-          const fetchResult = await fetchQueuesPageDocument('preflight-pass1');
-          doc = fetchResult.doc;
-          htmlText = fetchResult.htmlText;
-          responseHeaders = fetchResult.responseHeaders;
-          if (fetchResult.loginPage) {
-            results.aborted = true;
-            results.abortReason = 'Session expired / not authorized (login page detected)';
-            logError(results.abortReason);
-            break;
+      // Show the outcome in the table itself, keeping the status and page context. The run's
+      // last fetch is used when it was sent after the last submission; otherwise fetch again.
+      // A run the user stopped still changed queues; only a real abort (lost session) skips this.
+      if (!results.aborted || results.cancelled) {
+        const freshAfter = Date.parse(results.timing.submissionsEndedAt || results.timing.startedAt);
+        let page = lastFetchedPage && lastFetchedPage.requestedAt >= freshAfter ? lastFetchedPage : null;
+        if (!page) {
+          try {
+            page = await fetchQueuesPageDocument('after-run', null);
+          } catch (error) {
+            logError('Failed to fetch the queues page after the run:', error);
           }
-          const updated = getHeaderCsrfTokenExtended(doc, htmlText, responseHeaders);
-          headerToken = updated.token;
-          tokenSource = updated.source;
-          csrfContext.headerToken = headerToken;
-          csrfContext.tokenSource = tokenSource;
-          results.stats.headerCsrfSource = tokenSource;
-          log(`Preflight CSRF: headerToken=${headerToken ? tokenPrefix(headerToken) : 'MISSING'}, source=${tokenSource}`);
-        } catch (error) {
-          logError('Preflight refresh failed:', error);
         }
+        updateLiveTable(page, 'after-run');
       }
 
-      if (!headerToken) {
-        log(`  ⚠ No header CSRF token found - running in body-only mode (higher 403 rate expected)`);
+    } catch (error) {
+      logError('Bulk action failed:', error);
+      statusElement.textContent = `Error: ${error.message}`;
+      statusElement.className = 'sqks-status sqks-status-error';
+      finalResults = { error: String(error.message || error) };
+    } finally {
+      buttons.forEach(btn => btn.disabled = false);
+      bulkActionInProgress = false;
+      runAbortController = null;
+      runCheckpoint = null;
+      await clearCheckpoint();
+      await endRunBroadcast();
+      releaseRunLock();
+      const perfSummary = perfLogSummary();  // Log performance metrics
+      if (currentRun) {
+        currentRun.perfMetrics = perfSummary;
       }
+      if (!(await endRun(finalResults))) {
+        statusElement.textContent = `${statusElement.textContent} — ${HISTORY_WRITE_FAILED_MESSAGE}`;
+        statusElement.className = 'sqks-status sqks-status-error';
+      }
+      notifyRunFinished(lastRun);
+      if (pendingSettings) {
+        applySettings(pendingSettings);
+        log('Applied settings changed during the run');
+      }
+    }
+    return finalResults;
+  }
 
-      // Get queues that still need action (verbose logging on first pass)
-      // Use form index for efficient enumeration
-      let actionable = getActionableQueues(doc, actionType, pass === 1 && DEBUG_LEVEL >= 2, passFormIndex);
-      const alreadySucceededKeys = new Set();
+  /**
+   * Create an element with optional class and text content
+   */
+  function createElement(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined && text !== null) el.textContent = String(text);
+    return el;
+  }
 
-      if (actionable.length === 0) {
-        log(`Pass ${pass}/${MAX_PASSES}: All queues ${doneLabel}!`);
-        updateStatus(`All queues ${doneLabel}`);
-        results.success = true;
-        results.remainingQueues = [];
-        break;
+  /**
+   * Build a simple table from column definitions and rows
+   *
+   * @param {Array<[string, Function]>} columns - [header, (row) => cell text]
+   * @param {Object[]} rows - Row records
+   */
+  function createHistoryTable(columns, rows) {
+    const table = createElement('table', 'sqks-history-table');
+    const headRow = table.createTHead().insertRow();
+    for (const [header] of columns) {
+      headRow.appendChild(createElement('th', null, header));
+    }
+    const body = table.createTBody();
+    for (const row of rows) {
+      const tr = body.insertRow();
+      for (const [, cell] of columns) {
+        const value = cell(row);
+        tr.appendChild(createElement('td', null, value === undefined || value === null ? '' : value));
       }
+    }
+    return table;
+  }
 
-      log(`Pass ${pass}/${MAX_PASSES}: ${actionable.length} queues need ${actionType}`);
-      updateStatus(`Pass ${pass}/${MAX_PASSES}: ${actionLabel} ${actionable.length} remaining...`);
+  /**
+   * One-line outcome for a stored run record
+   */
+  function summarizeRunOutcome(run) {
+    const results = run.results || {};
+    if (results.error) return { label: `error: ${results.error}`, kind: 'error' };
+    if (results.aborted) return { label: `aborted: ${results.abortReason || 'unknown'}`, kind: 'error' };
+    if (results.success) return { label: 'success', kind: 'success' };
+    return { label: 'incomplete', kind: 'error' };
+  }
 
-      // Track token refresh for this pass (at most one refresh per pass)
-      let tokenRefreshedThisPass = false;
+  /**
+   * Ask the service worker for a desktop notification about a finished run
+   * (clicking it focuses this tab). Sent for every run, even with this tab focused:
+   * the status line is easy to miss mid-incident.
+   */
+  function notifyRunFinished(run) {
+    const results = run.results || {};
+    const remaining = results.remainingQueues || [];
+    const shown = remaining.slice(0, NOTIFICATION_MAX_QUEUES).join(', ');
+    const more = remaining.length > NOTIFICATION_MAX_QUEUES ? ` and ${remaining.length - NOTIFICATION_MAX_QUEUES} more` : '';
+    const outcome = summarizeRunOutcome(run);
+    const scope = run.meta.scope ? ` ${run.meta.scope}` : '';
+    sendRuntimeMessage({
+      type: 'sqks:runFinished',
+      instance: getInstanceKey(),
+      kind: outcome.kind,
+      title: `${RUN_LABELS[run.actionType].verb}${scope}: ${outcome.label}`,
+      message: [
+        `${results.passesUsed || 0} pass(es), ${(results.errors || []).length} error(s)`,
+        remaining.length > 0 ? `Remaining: ${shown}${more}` : null,
+      ].filter(Boolean).join('\n'),
+    }).catch((error) => {
+      logVerbose('Run notification failed:', error);
+    });
+  }
 
-      for (let i = 0; i < actionable.length; i++) {
-        const queueInfo = actionable[i];
-        const progressMsg = `Pass ${pass}/${MAX_PASSES}: ${actionLabel} ${i + 1}/${actionable.length} (${queueInfo.queueName})`;
-        updateStatus(progressMsg);
-
-        if (ENABLE_LIVE_DOM_RECHECK && i > 0 && i % LIVE_DOM_RECHECK_INTERVAL === 0) {
-          // Use cheap targeted check instead of full enumeration
-          // Just check if the specific queue's action button still exists
-          invalidateFormIndexCache(); // Refresh cache for accurate check
-          const liveIndex = getLiveFormIndex();
-          const liveEntry = liveIndex.get(queueInfo.actionPathKey);
-          const liveSubmitBtn = liveEntry
-            ? (actionType === 'pause' ? liveEntry.pauseBtn : liveEntry.unpauseBtn)
-            : null;
-          if (!liveSubmitBtn) {
-            logVerbose(`Skipping ${queueInfo.queueName} (already in desired state per live DOM)`);
-            continue;
-          }
+  /**
+   * Typed-confirmation dialog for a bulk run (handleBulkAction's default confirmFn)
+   * Lists every queue the run will submit with its size and latency, highlights large
+   * backlogs an unpause releases, asks for the run's reason and incident/ticket ID, and
+   * only enables the run once the action word (e.g. PAUSE) has been typed.
+   *
+   * @param {string} message - Confirmation text
+   * @param {Object} details - { actionType, actionWord, queues, reason, incident } (queues from
+   *   getConfirmPreview; reason and incident prefill their fields)
+   * @returns {Promise<{ confirmed: boolean, reason?: string, incident?: string }>}
+   */
+  function showConfirmDialog(message, details) {
+    const { actionType, actionWord, queues, reason = '', incident = '' } = details;
+    // Another run's dialog is still open; that one decides
+    if (document.querySelector('.sqks-modal-backdrop')) {
+      return Promise.resolve({ confirmed: false });
+    }
+    const previousFocus = document.activeElement;
+
+    const backdrop = createElement('div', 'sqks-modal-backdrop');
+    const dialog = createElement('div', 'sqks-modal');
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    const runLabel = `${RUN_LABELS[actionType].verb} ${queues.length} queue(s)`;
+    const title = createElement('h5', 'sqks-modal-title', runLabel);
+    title.id = 'sqks-modal-title';
+    dialog.setAttribute('aria-labelledby', title.id);
+    dialog.appendChild(title);
+    dialog.appendChild(createElement('p', 'sqks-modal-message', message));
+
+    const table = createHistoryTable([
+      ['Queue', q => q.queueName],
+      ...(actionType === 'restore' ? [['Action', q => q.actionType]] : []),
+      ['Size', q => (q.size === null ? '—' : q.size.toLocaleString())],
+      ['Latency', q => (q.latencySeconds === null ? '—' : formatLatency(q.latencySeconds))],
+      ...(queues.some(q => q.reason) ? [['Chosen because', q => q.reason]] : []),
+    ], queues);
+    Array.from(table.tBodies[0].rows).forEach((row, i) => {
+      if (!queues[i].backlog) return;
+      row.classList.add('sqks-modal-backlog');
+      row.title = 'Large backlog: released as soon as the queue is unpaused';
+    });
+    const list = createElement('div', 'sqks-modal-queues');
+    list.appendChild(table);
+    dialog.appendChild(list);
+
+    const addField = (labelText, className, value, maxLength) => {
+      const label = createElement('label', 'sqks-modal-field', labelText);
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = className;
+      input.value = value;
+      input.maxLength = maxLength;
+      input.autocomplete = 'off';
+      label.appendChild(input);
+      dialog.appendChild(label);
+      return input;
+    };
+    const reasonInput = addField('Reason (shown on the paused queues for the next person on call)',
+      'sqks-modal-reason', reason, RUN_REASON_MAX_LENGTH);
+    const incidentInput = addField('Incident or ticket ID (optional)', 'sqks-modal-incident', incident, RUN_INCIDENT_MAX_LENGTH);
+    incidentInput.placeholder = 'e.g. INC-123';
+    const wordInput = addField(`Type ${actionWord} to continue`, 'sqks-modal-word', '', actionWord.length + 10);
+    wordInput.spellcheck = false;
+
+    const actions = createElement('div', 'sqks-modal-actions');
+    const cancelButton = createElement('button', 'btn btn-secondary sqks-btn', 'Cancel');
+    cancelButton.type = 'button';
+    const confirmButton = createElement('button', `btn ${actionType === 'unpause' ? 'btn-primary' : 'btn-danger'} sqks-btn`, runLabel);
+    confirmButton.type = 'button';
+    confirmButton.disabled = true;
+    actions.appendChild(cancelButton);
+    actions.appendChild(confirmButton);
+    dialog.appendChild(actions);
+    backdrop.appendChild(dialog);
+
+    return new Promise((resolve) => {
+      // SAFETY: exact match only; the run word is the last thing between a click and a mass action
+      const typed = () => wordInput.value.trim() === actionWord;
+      const close = (answer) => {
+        backdrop.remove();
+        if (previousFocus && previousFocus.focus) previousFocus.focus();
+        resolve(answer);
+      };
+
+      wordInput.addEventListener('input', () => {
+        confirmButton.disabled = !typed();
+      });
+      wordInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' && typed()) {
+          event.preventDefault();
+          confirmButton.click();
         }
+      });
+      cancelButton.addEventListener('click', () => close({ confirmed: false }));
+      confirmButton.addEventListener('click', () => {
+        if (!typed()) return;
+        close({ confirmed: true, reason: reasonInput.value, incident: incidentInput.value });
+      });
 
-        try {
-          const result = await submitQueueAction(queueInfo, csrfContext, actionType);
+      // Escape cancels; Tab stays inside the dialog
+      dialog.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+          event.preventDefault();
+          close({ confirmed: false });
+        } else if (event.key === 'Tab') {
+          const focusable = Array.from(dialog.querySelectorAll('input, button')).filter(el => !el.disabled);
+          const first = focusable[0];
+          const last = focusable[focusable.length - 1];
+          if (event.shiftKey && document.activeElement === first) {
+            event.preventDefault();
+            last.focus();
+          } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+          }
+        }
+      });
 
-          if (result.ok) {
-            results.totalProcessed++;
-            logVerbose(`✓ ${actionType} ${queueInfo.queueName}`);
-            alreadySucceededKeys.add(queueInfo.actionPathKey);
+      document.body.appendChild(backdrop);
+      reasonInput.focus();
+    });
+  }
 
-            if (result.freshDoc) {
-              const updated = getHeaderCsrfTokenExtended(result.freshDoc, null, null);
-              if (updated.token !== csrfContext.headerToken) {
-                csrfContext.headerToken = updated.token;
-                csrfContext.tokenSource = updated.source;
-                results.stats.headerCsrfSource = updated.source;
-              }
-              // Rebuild form index from fresh doc
-              const freshFormIndex = buildFormIndex(result.freshDoc);
-              actionable = getActionableQueues(result.freshDoc, actionType, false, freshFormIndex)
-                .filter(q => !alreadySucceededKeys.has(q.actionPathKey));
-              // Also invalidate live form cache since page state changed
-              invalidateFormIndexCache();
-              i = -1;
-            }
-          } else if (result.is403) {
-            results.stats.initial403Count++;
+  /**
+   * Render the expanded view of a stored run: meta, remaining queues, errors,
+   * submissions and refreshes
+   */
+  function renderRunDetails(run) {
+    const details = createElement('div', 'sqks-history-details');
+    const results = run.results || {};
+    const meta = run.meta || {};
+
+    const metaLines = [
+      `Run ${run.id}`,
+      `Started ${new Date(run.startedAt).toLocaleString()}${run.endedAt ? `, ended ${new Date(run.endedAt).toLocaleString()}` : ''}`,
+      meta.scope ? `Scope: ${meta.scope}` : null,
+      meta.incident ? `Incident: ${meta.incident}` : null,
+      meta.reason ? `Reason: ${meta.reason}` : null,
+      meta.thresholds ? `Thresholds: ${meta.thresholds}` : null,
+      meta.initialActionable !== undefined ? `Initially actionable: ${meta.initialActionable} of ${meta.totalQueues} queue(s)` : null,
+      meta.protectedQueues && meta.protectedQueues.length > 0 ? `Protected (skipped): ${meta.protectedQueues.join(', ')}` : null,
+      run.truncated ? 'Logs/submissions truncated to the most recent entries' : null,
+    ].filter(Boolean);
+    for (const line of metaLines) {
+      details.appendChild(createElement('div', null, line));
+    }
 
-            if (result.loginPage || result.diagKind === 'LOGIN') {
-              results.aborted = true;
-              results.abortReason = 'Session expired / not authorized (login page detected on POST)';
-              logError(results.abortReason);
-              break;
-            }
+    const downloadButton = createElement('button', 'btn btn-secondary sqks-btn sqks-btn-small', 'Download diagnostics');
+    downloadButton.type = 'button';
+    downloadButton.addEventListener('click', () => downloadDiagnostics(run));
+    details.appendChild(downloadButton);
 
-            // On first 403 of this pass, refresh tokens and retry this one queue
-            if (!tokenRefreshedThisPass) {
-              log(`First 403 this pass - refreshing tokens and retrying "${queueInfo.queueName}"...`);
+    if (results.remainingQueues && results.remainingQueues.length > 0) {
+      details.appendChild(createElement('h6', null, `Remaining queues (${results.remainingQueues.length})`));
+      details.appendChild(createElement('div', 'sqks-history-mono', results.remainingQueues.join(', ')));
+    }
 
-              try {
-                const fetchResult = await fetchQueuesPageDocument('token-refresh');
-                const freshDoc = fetchResult.doc;
-                const freshHtmlText = fetchResult.htmlText;
-                const freshHeaders = fetchResult.responseHeaders;
-                if (fetchResult.loginPage) {
-                  results.aborted = true;
-                  results.abortReason = 'Session expired / not authorized (login page detected on refresh)';
-                  logError(results.abortReason);
-                  break;
-                }
-                const { token: freshHeaderToken, source: freshSource } = getHeaderCsrfTokenExtended(
-                  freshDoc,
-                  freshHtmlText,
-                  freshHeaders
-                );
-                csrfContext.headerToken = freshHeaderToken;
-                csrfContext.tokenSource = freshSource;
-                results.stats.tokenRefreshCount++;
-                results.stats.headerCsrfSource = freshSource;
+    const reasons = Object.values(results.reasons || {});
+    if (reasons.length > 0) {
+      details.appendChild(createElement('h6', null, `Chosen by threshold (${reasons.length})`));
+      details.appendChild(createHistoryTable([
+        ['Queue', r => r.queueName],
+        ['Reason', r => (r.droppedAtPass ? `${r.reason} (under threshold again at pass ${r.droppedAtPass})` : r.reason)],
+        ['Pass', r => r.pass],
+      ], reasons));
+    }
 
-                log(`Token refresh: headerToken=${freshHeaderToken ? tokenPrefix(freshHeaderToken) : 'MISSING'}, source=${freshSource}`);
+    if (results.errors && results.errors.length > 0) {
+      details.appendChild(createElement('h6', null, `Errors (${results.errors.length})`));
+      details.appendChild(createHistoryTable([
+        ['Pass', e => e.pass],
+        ['Queue', e => e.queue],
+        ['Error', e => e.error],
+      ], results.errors));
+    }
 
-                tokenRefreshedThisPass = true;
+    details.appendChild(createElement('h6', null, `Submissions (${(run.submissions || []).length})`));
+    details.appendChild(createHistoryTable([
+      ['Time', e => new Date(e.ts).toLocaleTimeString()],
+      ['Queue', e => e.queueName],
+      ['Action', e => e.actionType],
+      ['Mode', e => e.requestMode],
+      ['Status', e => e.response && e.response.status],
+      ['Result', e => e.response && (e.response.reason || e.response.diagKind)],
+    ], run.submissions || []));
+
+    details.appendChild(createElement('h6', null, `Refreshes (${(run.refreshes || []).length})`));
+    details.appendChild(createHistoryTable([
+      ['Time', e => new Date(e.ts).toLocaleTimeString()],
+      ['Label', e => e.label],
+      ['Status', e => e.status],
+      ['Login page', e => (e.loginPage ? 'yes' : 'no')],
+      ['CSRF source', e => e.headerCsrfSource],
+    ], run.refreshes || []));
+
+    return details;
+  }
 
-                // Build form index for fresh doc
-                const refreshFormIndex = fetchResult.formIndex || buildFormIndex(freshDoc);
+  /**
+   * Render the run history list into the panel (details are built on expand)
+   */
+  async function renderHistoryPanel(panel) {
+    const history = await listRunHistory();
+    const list = panel.querySelector('.sqks-history-list');
+    list.replaceChildren();
 
-                // Retry this queue with fresh tokens (if still actionable)
-                const freshMap = buildQueueTokenMap(freshDoc, actionType, refreshFormIndex);
-                const fresh = freshMap.get(queueInfo.actionPathKey);
-                if (fresh) {
-                  queueInfo.formToken = fresh.formToken;
-                }
-                const retryResult = await submitQueueAction(queueInfo, csrfContext, actionType);
-                if (retryResult.ok) {
-                  results.totalProcessed++;
-                  results.stats.retrySuccessCount++;
-                  logVerbose(`✓ ${actionType} ${queueInfo.queueName} (after token refresh)`);
-                  alreadySucceededKeys.add(queueInfo.actionPathKey);
-                } else if (retryResult.is403 && (retryResult.loginPage || retryResult.diagKind === 'LOGIN')) {
-                  results.aborted = true;
-                  results.abortReason = 'Session expired / not authorized (login page detected after retry)';
-                  logError(results.abortReason);
-                  break;
-                } else {
-                  // Still failed after refresh - likely RBAC, not CSRF
-                  results.errors.push({
-                    queue: queueInfo.queueName,
-                    error: `HTTP ${retryResult.status} after token refresh (likely RBAC/permission)`,
-                    pass
-                  });
-                  logError(`Still failed after refresh: ${queueInfo.queueName} - HTTP ${retryResult.status}`);
-                }
+    if (history.length === 0) {
+      list.appendChild(createElement('div', 'sqks-history-empty', 'No runs recorded yet'));
+      return;
+    }
 
-                // Rebuild actionable list after refresh to reduce drift (reuse form index)
-                actionable = getActionableQueues(freshDoc, actionType, false, refreshFormIndex)
-                  .filter(q => !alreadySucceededKeys.has(q.actionPathKey));
-                invalidateFormIndexCache();
-                i = -1;
-              } catch (refreshErr) {
-                tokenRefreshedThisPass = true; // Don't retry refresh on error
-                results.errors.push({
-                  queue: queueInfo.queueName,
-                  error: `403 + refresh failed: ${refreshErr.message}`,
-                  pass
-                });
-                logError(`Token refresh failed for ${queueInfo.queueName}:`, refreshErr);
-              }
-            } else {
-              // Already refreshed this pass - don't refresh again, defer to next pass
-              log(`403 for "${queueInfo.queueName}" - deferred to next pass (already refreshed this pass)`);
-              // Don't add to errors - will be retried next pass
-            }
-          } else {
-            // Non-403 error
-            results.errors.push({
-              queue: queueInfo.queueName,
-              error: `HTTP ${result.status}`,
-              pass
-            });
-            logError(`Failed: ${queueInfo.queueName} - HTTP ${result.status}`);
-          }
-        } catch (error) {
-          results.errors.push({
-            queue: queueInfo.queueName,
-            error: String(error.message || error),
-            pass
-          });
-          logError(`Error processing ${queueInfo.queueName}:`, error);
+    for (const run of history) {
+      const results = run.results || {};
+      const outcome = summarizeRunOutcome(run);
+      const entry = createElement('details', 'sqks-history-entry');
+      const summary = createElement('summary');
+      summary.appendChild(createElement('span', 'sqks-history-time', new Date(run.startedAt).toLocaleString()));
+      summary.appendChild(createElement('span', 'sqks-history-action', run.actionType));
+      if (run.meta && run.meta.incident) {
+        summary.appendChild(createElement('span', null, run.meta.incident));
+      }
+      summary.appendChild(createElement('span', null, `${results.passesUsed || 0} pass(es)`));
+      summary.appendChild(createElement('span', `sqks-status-${outcome.kind}`, outcome.label));
+      summary.appendChild(createElement('span', null, `${(results.errors || []).length} error(s)`));
+      summary.appendChild(createElement('span', null, `${(results.remainingQueues || []).length} remaining`));
+      entry.appendChild(summary);
+
+      entry.addEventListener('toggle', () => {
+        if (entry.open && !entry.querySelector('.sqks-history-details')) {
+          entry.appendChild(renderRunDetails(run));
         }
+      });
+      list.appendChild(entry);
+    }
+  }
 
-        // Brief delay between requests for rate limiting
-        if (i < actionable.length - 1) {
-          await sleep(POST_DELAY_MS);
-        }
+  /**
+   * Label protected queues in table.queues so oncall can see what is exempt
+   */
+  function markProtectedRows() {
+    for (const entry of getLiveFormIndex().values()) {
+      if (!entry.row) continue;
+      const isProtected = isProtectedQueue(entry.queueName);
+      entry.row.classList.toggle('sqks-protected-row', isProtected);
+
+      let label = entry.row.querySelector('.sqks-protected-label');
+      if (isProtected && !label) {
+        label = document.createElement('span');
+        label.className = 'sqks-protected-label';
+        label.textContent = 'protected';
+        label.title = 'Never paused by the kill switch';
+        const link = entry.row.querySelector('a');
+        (link ? link.parentElement : getPageCells(entry.row)[0]).appendChild(label);
+      } else if (!isProtected && label) {
+        label.remove();
       }
+    }
+  }
 
-      if (results.aborted) {
-        break;
-      }
+  /**
+   * One-line note for a queue paused by the kill switch, e.g.
+   * "paused via kill switch 14:02 — INC-123 — payments DB failover"
+   */
+  function formatAnnotation(annotation) {
+    const at = new Date(annotation.at);
+    const time = at.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const when = at.toDateString() === new Date().toDateString() ? time : `${at.toLocaleDateString()} ${time}`;
+    return [`paused via kill switch ${when}`, annotation.incident, annotation.reason].filter(Boolean).join(' — ');
+  }
 
-      // If not the last pass, wait for server state to settle
-      if (pass < MAX_PASSES) {
-        log(`Waiting for server state to settle...`);
-        await sleep(PASS_DELAY_MS);
+  /**
+   * Annotate paused rows in table.queues with the kill switch run that paused them,
+   * so whoever takes over oncall can see why
+   */
+  function markAnnotatedRows() {
+    for (const entry of getLiveFormIndex().values()) {
+      if (!entry.row) continue;
+      const annotation = entry.unpauseBtn ? queueAnnotations[entry.actionPathKey] : null;
+
+      let label = entry.row.querySelector('.sqks-annotation-label');
+      if (annotation && !label) {
+        label = document.createElement('span');
+        label.className = 'sqks-annotation-label';
+        const link = entry.row.querySelector('a');
+        (link ? link.parentElement : getPageCells(entry.row)[0]).appendChild(label);
+      } else if (!annotation && label) {
+        label.remove();
+      }
+      if (annotation) {
+        label.textContent = formatAnnotation(annotation);
+        label.title = `Paused ${new Date(annotation.at).toLocaleString()} by run ${annotation.runId}`;
       }
     }
+  }
 
-    // Final check if we exhausted all passes
-    if (!results.success) {
-      log(`Checking final state after ${MAX_PASSES} passes...`);
-      try {
-        const fetchResult = await fetchQueuesPageDocument('final-check');
-        const finalDoc = fetchResult.doc;
-        const remaining = getActionableQueues(finalDoc, actionType);
-        results.remainingQueues = remaining.map(q => q.queueName);
+  /**
+   * Build the selection checkbox cell for one queue row
+   * (also used for rows that patchLiveTable adds after the page loaded)
+   */
+  function createSelectCell(actionPathKey, queueName) {
+    const td = document.createElement('td');
+    td.className = 'sqks-select-cell';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.dataset.actionPathKey = actionPathKey;
+    checkbox.checked = selectedQueueKeys.has(actionPathKey);
+    checkbox.setAttribute('aria-label', `Select queue ${queueName}`);
+    td.appendChild(checkbox);
+    return td;
+  }
 
-        if (remaining.length === 0) {
-          results.success = true;
-          log('All queues reached desired state after final check');
-        } else {
-          logError(`Incomplete: ${remaining.length} queues still not ${doneLabel}:`, results.remainingQueues);
+  /**
+   * Row checkboxes currently in the table, in page order
+   */
+  function getRowCheckboxes(table) {
+    return Array.from(table.querySelectorAll('tbody td.sqks-select-cell input[type="checkbox"]'));
+  }
+
+  /**
+   * Bring the header checkbox and the selection count up to date
+   * Called after every selection change and after the table is patched.
+   */
+  function syncSelection() {
+    const table = findQueuesTable(document);
+    if (!table) return;
+    const rowCheckboxes = getRowCheckboxes(table);
+    const selectAll = table.querySelector('thead .sqks-select-cell input');
+    if (selectAll) {
+      const checked = rowCheckboxes.filter(cb => cb.checked).length;
+      selectAll.checked = checked > 0 && checked === rowCheckboxes.length;
+      selectAll.indeterminate = checked > 0 && checked < rowCheckboxes.length;
+    }
+    if (selectionChangeHandler) selectionChangeHandler(selectedQueueKeys.size);
+  }
+
+  /**
+   * Add a selection checkbox column to table.queues
+   *
+   * Each checkbox is keyed on the row's actionPathKey. The header checkbox
+   * toggles every row; shift-click selects the range since the last click.
+   * Clicks are handled on the table so rows added later work the same way.
+   *
+   * @param {Function} onChange - Called with the selection size after every change
+   */
+  function injectSelectionColumn(onChange) {
+    const table = findQueuesTable(document);
+    if (!table || table.querySelector('.sqks-select-cell')) return;
+
+    selectionChangeHandler = onChange;
+    let anchor = null;
+
+    const headerRow = table.querySelector('thead tr');
+    let selectAll = null;
+    if (headerRow) {
+      const th = document.createElement('th');
+      th.className = 'sqks-select-cell';
+      selectAll = document.createElement('input');
+      selectAll.type = 'checkbox';
+      selectAll.title = 'Select all queues';
+      selectAll.setAttribute('aria-label', 'Select all queues');
+      th.appendChild(selectAll);
+      headerRow.insertBefore(th, headerRow.firstChild);
+    }
+
+    const setChecked = (checkbox, checked) => {
+      checkbox.checked = checked;
+      if (checked) {
+        selectedQueueKeys.add(checkbox.dataset.actionPathKey);
+      } else {
+        selectedQueueKeys.delete(checkbox.dataset.actionPathKey);
+      }
+    };
+
+    const seenRows = new Set();
+    for (const [actionPathKey, entry] of getLiveFormIndex()) {
+      if (!entry.row || seenRows.has(entry.row)) continue;
+      seenRows.add(entry.row);
+      entry.row.insertBefore(createSelectCell(actionPathKey, entry.queueName), entry.row.firstChild);
+    }
+
+    table.addEventListener('click', (event) => {
+      const checkbox = event.target;
+      if (checkbox.tagName !== 'INPUT' || checkbox === selectAll ||
+          !checkbox.dataset.actionPathKey || !checkbox.closest('td.sqks-select-cell')) {
+        return;
+      }
+      // Range is taken in page order at click time, so added and removed rows are accounted for
+      const rowCheckboxes = getRowCheckboxes(table);
+      const rowIndex = rowCheckboxes.indexOf(checkbox);
+      const anchorIndex = anchor ? rowCheckboxes.indexOf(anchor) : -1;
+      if (event.shiftKey && anchorIndex !== -1 && anchorIndex !== rowIndex) {
+        const [from, to] = anchorIndex < rowIndex ? [anchorIndex, rowIndex] : [rowIndex, anchorIndex];
+        for (let i = from; i <= to; i++) {
+          setChecked(rowCheckboxes[i], checkbox.checked);
         }
-      } catch (error) {
-        logError('Failed to perform final state check:', error);
+      } else {
+        setChecked(checkbox, checkbox.checked);
       }
-    }
+      anchor = checkbox;
+      syncSelection();
+    });
 
-    // Summary line for easy log analysis
-    log(`Summary: passes=${results.passesUsed}, ok=${results.totalProcessed}, initial403=${results.stats.initial403Count}, retriedOk=${results.stats.retrySuccessCount}, refreshes=${results.stats.tokenRefreshCount}, headerCsrfSource=${results.stats.headerCsrfSource}`);
+    if (selectAll) {
+      selectAll.addEventListener('change', () => {
+        getRowCheckboxes(table).forEach(cb => setChecked(cb, selectAll.checked));
+        anchor = null;
+        syncSelection();
+      });
+    }
 
-    return results;
+    syncSelection();
   }
 
   /**
-   * Count total queues on the page
+   * Show a visible notice when the queues page matches no selector profile,
+   * so a Sidekiq UI change doesn't make the kill switch silently disappear
    */
-  function getTotalQueueCount() {
-    const table = document.querySelector('table.queues');
-    if (!table) return 0;
-    return table.querySelectorAll('form[action*="/sidekiq/queues/"]').length;
+  function showUnsupportedNotice(warning) {
+    if (document.querySelector('.sqks-unsupported')) return;
+    const notice = createElement('div', 'sqks-controls sqks-unsupported', `Sidekiq Queue Kill Switch: ${warning}`);
+    notice.setAttribute('role', 'alert');
+    const heading = document.querySelector('h1, h2, h3');
+    if (heading && heading.parentElement) {
+      heading.parentElement.insertBefore(notice, heading.nextSibling);
+    } else {
+      document.body.prepend(notice);
+    }
   }
 
   /**
-   * Main action handler for pause/unpause all
+   * Snapshot picker with Save / Restore buttons (see saveSnapshot)
+   *
+   * @param {Object} ui - Control bar parts shared with the panels (see injectControls)
+   * @returns {{ controls: HTMLElement[], refresh: Function }}
    */
-  async function handleBulkAction(actionType, statusElement, buttons) {
-    const totalQueues = getTotalQueueCount();
+  function createSnapshotControls(ui) {
+    const { statusElement, runBulk } = ui;
+
+    const snapshotSelect = document.createElement('select');
+    snapshotSelect.className = 'sqks-snapshot-select';
+    snapshotSelect.title = 'Saved queue-state snapshots (newest first)';
+
+    const saveSnapshotButton = document.createElement('button');
+    saveSnapshotButton.type = 'button';
+    saveSnapshotButton.className = 'btn btn-secondary sqks-btn';
+    saveSnapshotButton.textContent = 'Save Snapshot…';
+
+    const restoreSnapshotButton = document.createElement('button');
+    restoreSnapshotButton.type = 'button';
+    restoreSnapshotButton.className = 'btn btn-secondary sqks-btn';
+    restoreSnapshotButton.textContent = 'Restore Snapshot…';
+
+    const refreshSnapshotOptions = async () => {
+      const snapshots = await listSnapshots();
+      snapshotSelect.replaceChildren();
+      for (const [label, auto] of [['Saved', false], ['Before runs', true]]) {
+        const group = snapshots.filter(snapshot => isAutoSnapshot(snapshot) === auto);
+        if (group.length === 0) continue;
+        const optgroup = document.createElement('optgroup');
+        optgroup.label = label;
+        for (const snapshot of group) {
+          const option = document.createElement('option');
+          option.value = snapshot.id;
+          option.textContent = `${snapshot.name} (${snapshot.pausedCount} paused / ${snapshot.activeCount} active)`;
+          optgroup.appendChild(option);
+        }
+        snapshotSelect.appendChild(optgroup);
+      }
+      if (snapshots.length === 0) {
+        const option = document.createElement('option');
+        option.value = '';
+        option.textContent = 'No snapshots';
+        snapshotSelect.appendChild(option);
+      }
+    };
 
-    if (totalQueues === 0) {
-      statusElement.textContent = 'No queues found';
-      statusElement.className = 'sqks-status sqks-status-error';
-      return;
-    }
+    saveSnapshotButton.addEventListener('click', async () => {
+      const name = prompt('Snapshot name:', `Manual ${new Date().toLocaleString()}`);
+      if (name === null) return;
+      const snapshot = await saveSnapshot(name.trim() || 'Unnamed snapshot', buildFormIndex(document));
+      await refreshSnapshotOptions();
+      statusElement.textContent = snapshot
+        ? `Saved snapshot "${snapshot.name}"`
+        : 'Failed to save snapshot (see console)';
+      statusElement.className = snapshot ? 'sqks-status sqks-status-success' : 'sqks-status sqks-status-error';
+    });
 
-    // Get initial actionable count
-    const initialActionable = getActionableQueues(document, actionType);
-    const actionLabel = actionType === 'pause' ? 'Pause' : 'Unpause';
-    const doneLabel = actionType === 'pause' ? 'paused' : 'unpaused';
+    restoreSnapshotButton.addEventListener('click', async () => {
+      const snapshots = await listSnapshots();
+      const snapshot = snapshots.find(s => s.id === snapshotSelect.value);
+      if (!snapshot) {
+        statusElement.textContent = 'No snapshot selected';
+        statusElement.className = 'sqks-status sqks-status-error';
+        return;
+      }
+      const desiredStates = new Map(
+        Object.entries(snapshot.queues).map(([actionPathKey, q]) => [actionPathKey, q.state])
+      );
+      runBulk('restore', {
+        desiredStates,
+        scopeLabel: `from snapshot "${snapshot.name}"`,
+      });
+    });
 
-    if (initialActionable.length === 0) {
-      statusElement.textContent = `All ${totalQueues} queues already ${doneLabel}`;
-      statusElement.className = 'sqks-status sqks-status-success';
-      return;
-    }
+    return {
+      controls: [snapshotSelect, saveSnapshotButton, restoreSnapshotButton],
+      refresh: refreshSnapshotOptions,
+    };
+  }
 
-    if (bulkActionInProgress) {
-      statusElement.textContent = 'Already running...';
-      statusElement.className = 'sqks-status';
-      return;
+  /**
+   * Timed pause: duration picker and Pause for… button, plus the countdown bar with
+   * extend/cancel. The timer lives in background.js; every tab mirrors the stored record.
+   *
+   * @param {Object} ui - Control bar parts shared with the panels (see injectControls)
+   * @returns {{ controls: HTMLElement[], bar: HTMLElement, schedule: Function, start: Function }}
+   */
+  function createTimedPauseControls(ui) {
+    const { statusElement, runBulk, runWithFilter } = ui;
+
+    const durationSelect = document.createElement('select');
+    durationSelect.className = 'sqks-snapshot-select';
+    durationSelect.title = 'Timed pause duration';
+    for (const minutes of TIMED_PAUSE_DURATIONS_MIN) {
+      const option = document.createElement('option');
+      option.value = String(minutes);
+      option.textContent = formatMinutes(minutes);
+      durationSelect.appendChild(option);
     }
+    durationSelect.value = '15';
+
+    const pauseForButton = document.createElement('button');
+    pauseForButton.type = 'button';
+    pauseForButton.className = 'btn btn-danger sqks-btn sqks-btn-outline';
+    pauseForButton.textContent = 'Pause for…';
+    pauseForButton.title = 'Pause (respecting the filter), then automatically unpause exactly the queues this run paused';
+
+    const timedPauseBar = createElement('span', 'sqks-timed-pause');
+    timedPauseBar.hidden = true;
+    const timedPauseText = createElement('span');
+    const extendTimedPauseButton = createElement('button', 'btn btn-secondary sqks-btn sqks-btn-small', `+${TIMED_PAUSE_EXTEND_MIN} min`);
+    extendTimedPauseButton.type = 'button';
+    const cancelTimedPauseButton = createElement('button', 'btn btn-secondary sqks-btn sqks-btn-small', 'Cancel auto-unpause');
+    cancelTimedPauseButton.type = 'button';
+    timedPauseBar.appendChild(timedPauseText);
+    timedPauseBar.appendChild(extendTimedPauseButton);
+    timedPauseBar.appendChild(cancelTimedPauseButton);
+    let timedPauseRecord = null;
+    let countdownTimer = null;
+
+    const renderTimedPause = () => {
+      clearInterval(countdownTimer);
+      countdownTimer = null;
+      timedPauseBar.hidden = !timedPauseRecord;
+      if (!timedPauseRecord) return;
+
+      const queueCount = Object.keys(timedPauseRecord.queues).length;
+      const update = () => {
+        const remaining = timedPauseRecord.endsAt - Date.now();
+        if (timedPauseRecord.stopped) {
+          timedPauseText.textContent = `Auto-unpause stopped: ${queueCount} queue(s) may still be paused`;
+        } else if (timedPauseRecord.failed) {
+          timedPauseText.textContent = `Auto-unpause failed after ${timedPauseRecord.attempts} attempt(s): ${queueCount} queue(s) may still be paused`;
+        } else if (remaining > 0) {
+          timedPauseText.textContent = `Auto-unpause ${queueCount} queue(s) in ${formatRemaining(remaining)}`;
+        } else {
+          timedPauseText.textContent = `Auto-unpausing ${queueCount} queue(s)…`;
+        }
+      };
+      update();
+      countdownTimer = setInterval(update, 1000);
+    };
 
-    // Confirmation dialog
-    const confirmMessage = actionType === 'pause'
-      ? `Pause ${initialActionable.length} queue(s)? This will stop queue processing until unpaused.`
-      : `Unpause ${initialActionable.length} queue(s)?`;
+    const refreshTimedPause = async () => {
+      timedPauseRecord = await loadTimedPause();
+      renderTimedPause();
+    };
 
-    if (!confirm(confirmMessage)) {
-      statusElement.textContent = 'Cancelled';
-      statusElement.className = 'sqks-status';
-      return;
-    }
+    // Unpause exactly the queues the timed pause changed; triggered by the background
+    // alarm (or on page load once due), with a claim so only one tab runs it. The claim
+    // is written and read back (see acquireRunLock), and every later write re-reads the
+    // record first: it may have been extended, cancelled or replaced during the run.
+    const runTimedUnpause = async () => {
+      const record = await loadTimedPause();
+      if (!record || record.failed || Date.now() < record.endsAt) return;
+      if (record.claimedAt && Date.now() - record.claimedAt < TIMED_PAUSE_CLAIM_MS) {
+        logVerbose('Timed pause: auto-unpause already claimed by another tab');
+        return;
+      }
+      if (bulkActionInProgress || remoteRun) {
+        setTimeout(runTimedUnpause, 5000);
+        return;
+      }
 
-    // Disable buttons during operation
-    buttons.forEach(btn => btn.disabled = true);
-    statusElement.textContent = `${actionLabel}ing...`;
-    statusElement.className = 'sqks-status sqks-status-progress';
-    bulkActionInProgress = true;
-    perfStart();  // Start performance tracking
-    startRun(actionType, { totalQueues, initialActionable: initialActionable.length });
+      const claimId = `claim-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+      await saveTimedPause({ ...record, claimedAt: Date.now(), claimId });
+      await sleep(RUN_CLAIM_SETTLE_MS);
+      const claimed = await loadTimedPause();
+      if (!claimed || claimed.claimId !== claimId) {
+        logVerbose('Timed pause: another tab claimed the auto-unpause');
+        return;
+      }
+      // Update the record only while it is still this tab's claim
+      const updateClaimed = async (changes) => {
+        const latest = await loadTimedPause();
+        if (!latest || latest.claimId !== claimId) {
+          log('Timed pause: record changed during the auto-unpause, leaving it as is');
+          return;
+        }
+        await (changes ? saveTimedPause({ ...latest, ...changes }) : clearTimedPause());
+      };
+      const releaseClaim = () => updateClaimed({ claimedAt: null, claimId: null });
 
-    let finalResults = null;
-    try {
-      const results = await convergeQueues(
-        actionType,
-        (msg) => { statusElement.textContent = msg; }
-      );
-      finalResults = results;
+      const keys = new Set(Object.keys(record.queues));
+      const target = { queueFilter: (entry) => keys.has(entry.actionPathKey) };
 
-      // Build result message
-      let resultMessage;
-      if (results.aborted) {
-        resultMessage = results.abortReason || 'Session expired / not authorized';
-        statusElement.className = 'sqks-status sqks-status-error';
-      } else if (results.success) {
-        resultMessage = `Done: All queues ${doneLabel}`;
-        if (results.passesUsed > 1) {
-          resultMessage += ` (${results.passesUsed} passes)`;
-        }
-        statusElement.className = 'sqks-status sqks-status-success';
+      // This tab may have been open since before the pause, so check server state first
+      let fetchResult;
+      try {
+        fetchResult = await fetchQueuesPageDocument('timed-pause-check');
+      } catch (error) {
+        logError('Timed pause: failed to fetch queue state:', error);
+        await releaseClaim();
+        return;
+      }
+      if (fetchResult.loginPage || !fetchResult.formIndex) {
+        logError('Timed pause: cannot read queue state (session expired?) - auto-unpause deferred');
+        await releaseClaim();
+        return;
+      }
+      const stillPaused = getTargetQueues(fetchResult.doc, 'unpause', false, fetchResult.formIndex, target);
+      if (stillPaused.length === 0) {
+        log('Timed pause: all queues already unpaused');
+        await updateClaimed(null);
+        return;
+      }
+      // The run reads the live table, so bring it up to date first
+      updateLiveTable(fetchResult, 'timed-pause-check');
+
+      log(`Timed pause expired: unpausing ${stillPaused.length} of ${keys.size} queue(s)`);
+      const results = await runBulk('unpause', {
+        ...target,
+        scopeLabel: 'from timed pause',
+        unattended: true,
+        reason: record.reason ? `Timed pause ended (${record.reason})` : 'Timed pause ended',
+        incident: record.incident || '',
+      });
+
+      if (!results) {
+        // Never started (a run in this or another tab got there first): not an attempt
+        log('Timed pause: auto-unpause could not start yet, retrying');
+        await releaseClaim();
+        setTimeout(runTimedUnpause, 5000);
+        return;
+      }
+      if (results.success) {
+        await updateClaimed(null);
+        return;
+      }
+      if (results.cancelled) {
+        // The user stopped it on purpose: don't retry, leave the countdown bar to extend or cancel
+        log('Timed pause: auto-unpause stopped by user, not retrying');
+        await updateClaimed({ claimedAt: null, claimId: null, failed: true, stopped: true });
+        return;
+      }
+      const attempts = (claimed.attempts || 0) + 1;
+      const failed = attempts >= TIMED_PAUSE_MAX_ATTEMPTS;
+      logError(`Timed pause: auto-unpause incomplete (attempt ${attempts}/${TIMED_PAUSE_MAX_ATTEMPTS})${failed ? '' : ', retrying'}`);
+      await updateClaimed({
+        claimedAt: null,
+        claimId: null,
+        attempts,
+        failed,
+        endsAt: failed ? claimed.endsAt : Date.now() + TIMED_PAUSE_RETRY_MS,
+      });
+    };
+
+    /**
+     * Schedule the auto-unpause of the queues a pause run changed
+     * runMeta carries the pause run's reason and incident over to the auto-unpause run.
+     */
+    const scheduleTimedPause = async (changed, minutes, runMeta = {}) => {
+      const changedCount = Object.keys(changed).length;
+      if (changedCount === 0) {
+        log('Timed pause: run changed no queues, nothing to schedule');
+        return;
+      }
+
+      // A second timed pause adds its queues to the pending one and resets the timer
+      const existing = await loadTimedPause();
+      const record = {
+        pageUrl: `${window.location.origin}${window.location.pathname}`,
+        queues: { ...(existing ? existing.queues : {}), ...changed },
+        startedAt: existing ? existing.startedAt : new Date().toISOString(),
+        endsAt: Date.now() + minutes * 60 * 1000,
+        reason: runMeta.reason || (existing && existing.reason) || '',
+        incident: runMeta.incident || (existing && existing.incident) || '',
+        attempts: 0,
+        claimedAt: null,
+        claimId: null,
+        failed: false,
+      };
+      if (await saveTimedPause(record)) {
+        log(`Timed pause: ${changedCount} queue(s) will be unpaused at ${new Date(record.endsAt).toLocaleTimeString()}`);
+        statusElement.textContent += ` — auto-unpause in ${formatMinutes(minutes)}`;
       } else {
-        resultMessage = `Incomplete after ${results.passesUsed} passes: ${results.remainingQueues.length} queue(s) still not ${doneLabel}`;
+        statusElement.textContent = 'Paused, but failed to schedule auto-unpause (see console)';
         statusElement.className = 'sqks-status sqks-status-error';
-        logError('Remaining queues:', results.remainingQueues);
       }
+    };
 
-      if (results.errors.length > 0) {
-        resultMessage += ` (${results.errors.length} error(s))`;
-        logError('Errors during processing:', results.errors);
+    pauseForButton.addEventListener('click', async () => {
+      const minutes = Number(durationSelect.value);
+      const results = await runWithFilter('pause', {
+        confirmNote: `\n\nThe queues paused by this run will be unpaused automatically after ${formatMinutes(minutes)}.`,
+        // A resumed run schedules the auto-unpause itself
+        checkpointMeta: { timedPauseMinutes: minutes },
+      });
+      if (!results || !results.changedQueues) return;
+      await scheduleTimedPause(results.changedQueues, minutes, lastRun.meta);
+    });
+
+    extendTimedPauseButton.addEventListener('click', async () => {
+      const record = await loadTimedPause();
+      if (!record) return;
+      await saveTimedPause({
+        ...record,
+        endsAt: Math.max(record.endsAt, Date.now()) + TIMED_PAUSE_EXTEND_MIN * 60 * 1000,
+        attempts: 0,
+        claimedAt: null,
+        claimId: null,
+        failed: false,
+        stopped: false,
+      });
+    });
+
+    cancelTimedPauseButton.addEventListener('click', async () => {
+      const record = await loadTimedPause();
+      if (!record) return;
+      const count = Object.keys(record.queues).length;
+      if (!confirm(`Cancel the automatic unpause? ${count} queue(s) will stay paused until unpaused manually.`)) return;
+      await clearTimedPause();
+      log('Timed pause: auto-unpause cancelled');
+    });
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes[getTimedPauseKey()]) {
+        timedPauseRecord = changes[getTimedPauseKey()].newValue || null;
+        renderTimedPause();
       }
+    });
 
-      statusElement.textContent = resultMessage;
-      log(`Final results:`, results);
+    // The background alarm went off (see background.js); the reply tells it this tab took the job
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (message && message.type === 'sqks:timedPauseDue' && message.key === getTimedPauseKey()) {
+        runTimedUnpause();
+        sendResponse({ accepted: true });
+      }
+    });
 
-      if (results.success) {
-        // Refresh page after a brief delay to show the status
-        setTimeout(() => {
-          window.location.reload();
-        }, 1500);
+    return {
+      controls: [durationSelect, pauseForButton],
+      bar: timedPauseBar,
+      schedule: scheduleTimedPause,
+      start: () => {
+        // The service worker can't read tab URLs, so tell it this tab can run the auto-unpause
+        sendRuntimeMessage({ type: 'sqks:registerTimedPauseTab', key: getTimedPauseKey() }).catch((error) => {
+          logVerbose('Timed pause: tab registration failed:', error);
+        });
+        return refreshTimedPause().then(runTimedUnpause);
+      },
+    };
+  }
+
+  /**
+   * Resume offer for a run interrupted by a reload or crash (see loadCheckpoint), and the
+   * notice shown while another tab of this instance runs (see watchRunProgress)
+   *
+   * @param {Object} ui - Control bar parts shared with the panels (see injectControls)
+   * @param {Object} hooks - { scheduleTimedPause, broadcastState } from the other panels
+   * @returns {{ bars: HTMLElement[], hide: Function, start: Function }}
+   */
+  function createResumeControls(ui, { scheduleTimedPause, broadcastState }) {
+    const { statusElement, buttons, historyPanel, runBulk } = ui;
+
+    const resumeBar = createElement('span', 'sqks-timed-pause');
+    resumeBar.hidden = true;
+    const resumeText = createElement('span');
+    const resumeButton = createElement('button', 'btn btn-danger sqks-btn sqks-btn-small');
+    resumeButton.type = 'button';
+    const discardResumeButton = createElement('button', 'btn btn-secondary sqks-btn sqks-btn-small', 'Discard');
+    discardResumeButton.type = 'button';
+    resumeBar.appendChild(resumeText);
+    resumeBar.appendChild(resumeButton);
+    resumeBar.appendChild(discardResumeButton);
+    let interruptedCheckpoint = null;
+    let resumeRecheckTimer = null;
+
+    const remoteRunBar = createElement('span', 'sqks-timed-pause');
+    remoteRunBar.hidden = true;
+    remoteRunBar.setAttribute('role', 'status');
+
+    const renderResume = () => {
+      clearTimeout(resumeRecheckTimer);
+      // This tab's own run keeps its checkpoint current; that one is not interrupted,
+      // and neither is one another tab reports as running (remoteRunBar shows it)
+      resumeBar.hidden = !interruptedCheckpoint || !!runCheckpoint || !!remoteRun
+        || interruptedCheckpoint.runId === ownCheckpointRunId;
+      if (resumeBar.hidden) return;
+
+      const checkpoint = interruptedCheckpoint;
+      const done = Object.keys(checkpoint.succeeded || {}).length;
+      const verb = RUN_LABELS[checkpoint.actionType].verb.toLowerCase();
+      const age = Date.now() - Date.parse(checkpoint.updatedAt);
+      if (age < CHECKPOINT_ACTIVE_MS) {
+        // Probably still running in a tab that has not reported in yet; offer resume once it has gone quiet
+        resumeText.textContent = `A ${verb} run is in progress in another tab (${done}/${checkpoint.total} done)`;
+        resumeButton.hidden = true;
+        discardResumeButton.hidden = true;
+        resumeRecheckTimer = setTimeout(renderResume, CHECKPOINT_ACTIVE_MS - age + 500);
+        return;
       }
+      resumeText.textContent = `Run ${checkpoint.scopeLabel ? `${checkpoint.scopeLabel} ` : ''}interrupted ${new Date(checkpoint.updatedAt).toLocaleString()}`;
+      resumeButton.textContent = `Resume interrupted ${verb} (${done}/${checkpoint.total} done)`;
+      resumeButton.hidden = false;
+      discardResumeButton.hidden = false;
+    };
 
-    } catch (error) {
-      logError('Bulk action failed:', error);
-      statusElement.textContent = `Error: ${error.message}`;
-      statusElement.className = 'sqks-status sqks-status-error';
-      finalResults = { error: String(error.message || error) };
-    } finally {
-      buttons.forEach(btn => btn.disabled = false);
-      bulkActionInProgress = false;
-      perfLogSummary();  // Log performance metrics
-      endRun(finalResults);
-    }
+    // Lock the controls while another tab runs; they come back when it ends or stops reporting
+    let remoteRunWasShown = false;
+    const renderRemoteRun = () => {
+      remoteRunBar.hidden = !remoteRun;
+      if (remoteRun) {
+        remoteRunBar.textContent = describeRemoteRun(remoteRun);
+        buttons.forEach(btn => btn.disabled = true);
+      } else if (remoteRunWasShown && !bulkActionInProgress) {
+        buttons.forEach(btn => btn.disabled = false);
+      }
+      remoteRunWasShown = !!remoteRun;
+      renderResume();
+      broadcastState();
+    };
+
+    const refreshResume = async () => {
+      interruptedCheckpoint = await loadCheckpoint();
+      renderResume();
+    };
+
+    // Continue an interrupted run: same action and target set, converging from current page state
+    const resumeInterruptedRun = async () => {
+      const checkpoint = await loadCheckpoint();
+      if (!checkpoint) {
+        await refreshResume();
+        return;
+      }
+      const keys = checkpoint.queueKeys ? new Set(checkpoint.queueKeys) : null;
+      const { matcher } = compileQueuePattern(checkpoint.filterPattern || '');
+      const done = Object.keys(checkpoint.succeeded || {}).length;
+      const runMeta = checkpoint.runMeta || {};
+      const results = await runBulk(checkpoint.actionType, {
+        queueFilter: keys || matcher
+          ? (entry) => (!keys || keys.has(entry.actionPathKey)) && (!matcher || matcher(entry.queueName))
+          : null,
+        filterPattern: checkpoint.filterPattern,
+        thresholds: checkpoint.thresholds || null,
+        desiredStates: checkpoint.desiredStates ? new Map(Object.entries(checkpoint.desiredStates)) : null,
+        scopeLabel: checkpoint.scopeLabel,
+        confirmNote: `\n\nResuming an interrupted run: ${done} of ${checkpoint.total} queue(s) were already done.`,
+        resumeFrom: checkpoint,
+        checkpointMeta: checkpoint.meta,
+        reason: runMeta.reason,
+        incident: runMeta.incident,
+        onStart: () => recordInterruptedRun(checkpoint),
+      });
+      const timedPauseMinutes = checkpoint.meta && checkpoint.meta.timedPauseMinutes;
+      if (results && results.changedQueues && timedPauseMinutes) {
+        await scheduleTimedPause(results.changedQueues, timedPauseMinutes, lastRun.meta);
+      }
+    };
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes[getCheckpointKey()]) {
+        interruptedCheckpoint = changes[getCheckpointKey()].newValue || null;
+        renderResume();
+      }
+    });
+
+    resumeButton.addEventListener('click', resumeInterruptedRun);
+
+    discardResumeButton.addEventListener('click', async () => {
+      const checkpoint = await loadCheckpoint();
+      if (!checkpoint) return;
+      const done = Object.keys(checkpoint.succeeded || {}).length;
+      const verb = RUN_LABELS[checkpoint.actionType].verb.toLowerCase();
+      if (!confirm(`Discard the interrupted ${verb} run? ${done} of ${checkpoint.total} queue(s) were done; the rest stay as they are.`)) return;
+      await clearCheckpoint();
+      if (!(await recordInterruptedRun(checkpoint))) {
+        statusElement.textContent = `Discarded interrupted ${verb} run. ${HISTORY_WRITE_FAILED_MESSAGE}`;
+        statusElement.className = 'sqks-status sqks-status-error';
+      }
+      log(`Discarded interrupted ${verb} run ${checkpoint.runId}`);
+      if (!historyPanel.hidden) {
+        await renderHistoryPanel(historyPanel);
+      }
+    });
+
+    return {
+      bars: [resumeBar, remoteRunBar],
+      hide: () => { resumeBar.hidden = true; },
+      start: () => {
+        refreshResume();
+        watchRunProgress(renderRemoteRun);
+      },
+    };
+  }
+
+  /**
+   * Toolbar popup and keyboard shortcuts (both routed by background.js): answer state
+   * requests, stream status changes to an open popup, and start, stop and confirm runs
+   * on its behalf. Shortcuts go through the same filter + handleBulkAction confirmation
+   * flow as the buttons.
+   *
+   * @param {Object} ui - Control bar parts shared with the panels (see injectControls)
+   * @returns {{ broadcastState: Function }}
+   */
+  function connectPopupBridge(ui) {
+    const { statusElement, stopButton, filterInput, dryRunToggle, runWithFilter, focusControls } = ui;
+
+    const COMMAND_HANDLERS = {
+      'pause-all': () => runWithFilter('pause'),
+      'unpause-all': () => runWithFilter('unpause'),
+      'focus-kill-switch': focusControls,
+    };
+
+    // Runs are confirmed in the popup instead of the page dialog
+    // (a page dialog would steal focus and close the popup)
+    const getPageState = () => ({
+      instance: getInstanceKey(),
+      counts: countQueueStates(buildFormIndex(document)),
+      running: bulkActionInProgress,
+      runningElsewhere: remoteRun ? describeRemoteRun(remoteRun) : null,
+      stopping: !!runAbortController && runAbortController.signal.aborted,
+      actionType: bulkActionInProgress && currentRun ? currentRun.actionType : null,
+      filter: filterInput.value.trim(),
+      dryRun: dryRunToggle.checked,
+      status: { text: statusElement.textContent, className: statusElement.className },
+    });
+
+    const confirmInPopup = async (message, details) => {
+      try {
+        const response = await chrome.runtime.sendMessage({
+          type: 'sqks:confirm',
+          message,
+          actionType: details.actionType,
+          actionWord: details.actionWord,
+          // The same preview rows as showConfirmDialog, with latency preformatted for display
+          queues: details.queues.map(q => ({
+            ...q,
+            latencyLabel: q.latencySeconds === null ? null : formatLatency(q.latencySeconds),
+          })),
+          defaults: { reason: details.reason, incident: details.incident },
+        });
+        return response ? { confirmed: !!response.confirmed, reason: response.reason, incident: response.incident } : false;
+      } catch (error) {
+        // Popup closed before answering
+        logVerbose('Popup confirmation unavailable:', error);
+        return false;
+      }
+    };
+
+    // Stream every status change (progress, results, errors) to an open popup
+    const broadcastState = () => {
+      sendRuntimeMessage({ type: 'sqks:status', state: getPageState() }).catch(() => {
+        // No popup open (or the extension was reloaded)
+      });
+    };
+    new MutationObserver(broadcastState)
+      .observe(statusElement, { childList: true, characterData: true, subtree: true, attributes: true });
+
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (!message) return;
+      if (message.type === 'sqks:command' && COMMAND_HANDLERS[message.command]) {
+        log(`Keyboard shortcut: ${message.command}`);
+        if (message.command !== 'focus-kill-switch') focusControls();
+        COMMAND_HANDLERS[message.command]();
+        sendResponse({ ok: true });
+      } else if (message.type === 'sqks:getState') {
+        sendResponse(getPageState());
+      } else if (message.type === 'sqks:stopRun') {
+        const stopped = stopBulkAction();
+        if (stopped) stopButton.disabled = true;
+        sendResponse({ stopped });
+      } else if (message.type === 'sqks:startRun' && ALLOWED_ACTIONS.includes(message.actionType)) {
+        if (bulkActionInProgress || remoteRun) {
+          sendResponse({ started: false, error: bulkActionInProgress ? 'A run is already in progress' : RUN_ELSEWHERE_MESSAGE });
+          return;
+        }
+        log(`Run started from popup: ${message.actionType}`);
+        sendResponse({ started: true });
+        runWithFilter(message.actionType, { confirmFn: confirmInPopup }).then(broadcastState);
+      }
+    });
+
+    return { broadcastState };
   }
 
   /**
    * Create and inject the UI controls
+   * The timed pause, resume, snapshot and popup panels are built by their own functions
+   * and share the status line, the run entry points and the control list through `ui`.
    */
   function injectControls() {
     if (!isQueuesPage()) {
+      const { matched, warning } = getSelectorProfileInfo();
+      if (!matched && isQueuesIndexPath()) {
+        showUnsupportedNotice(warning);
+      }
       log('Not on Sidekiq Queues page, skipping injection');
       return;
     }
@@ -1574,6 +5054,8 @@
     // Create control container
     const controlContainer = document.createElement('div');
     controlContainer.className = 'sqks-controls';
+    controlContainer.setAttribute('role', 'toolbar');
+    controlContainer.setAttribute('aria-label', 'Sidekiq queue kill switch');
 
     // Create Pause All button
     const pauseButton = document.createElement('button');
@@ -1587,42 +5069,401 @@
     unpauseButton.className = 'btn btn-primary sqks-btn';
     unpauseButton.textContent = 'Unpause All Queues';
 
+    // Create Stop button (shown only while a run is in progress)
+    const stopButton = document.createElement('button');
+    stopButton.type = 'button';
+    stopButton.className = 'btn btn-warning sqks-btn';
+    stopButton.textContent = 'Stop';
+    stopButton.title = 'Stop the run after the submissions in flight; the status lists which queues changed';
+    stopButton.hidden = true;
+
+    // Create conditional pause: threshold expression and button (respects the filter too)
+    const thresholdInput = document.createElement('input');
+    thresholdInput.type = 'text';
+    thresholdInput.className = 'sqks-filter sqks-threshold';
+    thresholdInput.placeholder = 'latency>10m size>50k';
+    thresholdInput.title = 'Pause only queues over any of these limits. latency>N (s, m, h) or size>N (k, m); >= also works. Re-checked on every pass.';
+    thresholdInput.spellcheck = false;
+
+    const pauseOverButton = document.createElement('button');
+    pauseOverButton.type = 'button';
+    pauseOverButton.className = 'btn btn-danger sqks-btn sqks-btn-outline';
+    pauseOverButton.textContent = 'Pause Over Threshold';
+    pauseOverButton.title = 'Pause the backed-up queues (over the thresholds) and leave the healthy ones draining';
+
+    // Create Pause/Unpause selected buttons (driven by the row checkboxes)
+    const pauseSelectedButton = document.createElement('button');
+    pauseSelectedButton.type = 'button';
+    pauseSelectedButton.className = 'btn btn-danger sqks-btn sqks-btn-outline';
+
+    const unpauseSelectedButton = document.createElement('button');
+    unpauseSelectedButton.type = 'button';
+    unpauseSelectedButton.className = 'btn btn-primary sqks-btn sqks-btn-outline';
+
+    // Create queue filter input (glob/regex patterns, `!` to exclude)
+    const filterInput = document.createElement('input');
+    filterInput.type = 'text';
+    filterInput.className = 'sqks-filter';
+    filterInput.placeholder = 'Filter: payments_* !critical_*';
+    filterInput.title = 'Limit bulk actions to matching queues. Globs (*, ?) or /regex/, separated by spaces or commas; prefix with ! to exclude.';
+    filterInput.spellcheck = false;
+
+    // Create protected queue list editor (per host)
+    const protectedButton = document.createElement('button');
+    protectedButton.type = 'button';
+    protectedButton.className = 'btn btn-secondary sqks-btn';
+    protectedButton.textContent = 'Protected…';
+    protectedButton.title = 'Queues matching these patterns are never paused by the kill switch';
+
+    // Create run history toggle and panel (rendered on open)
+    const historyButton = document.createElement('button');
+    historyButton.type = 'button';
+    historyButton.className = 'btn btn-secondary sqks-btn';
+    historyButton.textContent = 'History';
+    historyButton.setAttribute('aria-expanded', 'false');
+
+    const historyPanel = createElement('div', 'sqks-history-panel');
+    historyPanel.hidden = true;
+    const historyHeader = createElement('div', 'sqks-history-header');
+    historyHeader.appendChild(createElement('strong', null, `Run history for ${getInstanceKey()}`));
+    const clearHistoryButton = createElement('button', 'btn btn-secondary sqks-btn sqks-btn-small', 'Clear');
+    clearHistoryButton.type = 'button';
+    historyHeader.appendChild(clearHistoryButton);
+    historyPanel.appendChild(historyHeader);
+    historyPanel.appendChild(createElement('div', 'sqks-history-list'));
+
+    // Create diagnostics export (in-progress run, else the latest finished run)
+    const diagnosticsButton = document.createElement('button');
+    diagnosticsButton.type = 'button';
+    diagnosticsButton.className = 'btn btn-secondary sqks-btn';
+    diagnosticsButton.textContent = 'Download Diagnostics';
+    diagnosticsButton.title = 'Export the current or most recent run (sanitized logs, submissions, refreshes, stats) as JSON';
+
+    // Create dry-run toggle and report panel
+    const dryRunLabel = createElement('label', 'sqks-toggle');
+    const dryRunToggle = document.createElement('input');
+    dryRunToggle.type = 'checkbox';
+    dryRunLabel.title = 'Show exactly what would be submitted (queues, name=value pairs, tokens, submission mode) without POSTing anything';
+    dryRunLabel.appendChild(dryRunToggle);
+    dryRunLabel.appendChild(document.createTextNode(' Dry run'));
+
+    const reportPanel = createElement('div', 'sqks-history-panel sqks-report-panel');
+    reportPanel.hidden = true;
+    const reportHeader = createElement('div', 'sqks-history-header');
+    reportHeader.appendChild(createElement('strong', null, 'Dry-run report'));
+    const reportActions = createElement('span');
+    const downloadReportButton = createElement('button', 'btn btn-secondary sqks-btn sqks-btn-small', 'Download JSON');
+    downloadReportButton.type = 'button';
+    const closeReportButton = createElement('button', 'btn btn-secondary sqks-btn sqks-btn-small', 'Close');
+    closeReportButton.type = 'button';
+    reportActions.appendChild(downloadReportButton);
+    reportActions.appendChild(closeReportButton);
+    reportHeader.appendChild(reportActions);
+    reportPanel.appendChild(reportHeader);
+    reportPanel.appendChild(createElement('div', 'sqks-report-body'));
+    let lastDryRunReport = null;
+
     // Create status element
     const statusElement = document.createElement('span');
     statusElement.className = 'sqks-status';
     statusElement.textContent = 'Ready';
 
-    // Wire up event handlers
-    const buttons = [pauseButton, unpauseButton];
+    // Flag pages that only matched a selector profile by structure (untested version) or by table alone
+    const { warning: profileWarning, unrecognizedLayout } = getSelectorProfileInfo();
+    const profileWarningElement = createElement(
+      'span',
+      unrecognizedLayout ? 'sqks-profile-warning sqks-profile-warning-unrecognized' : 'sqks-profile-warning',
+      unrecognizedLayout ? '⚠ Unrecognized layout' : `⚠ ${getSelectorProfile().label} selectors`,
+    );
+    profileWarningElement.title = profileWarning || '';
+    profileWarningElement.hidden = !profileWarning;
+
+    // Controls disabled while a run is in progress (the panels add theirs below)
+    const buttons = [
+      pauseButton, unpauseButton, pauseSelectedButton, unpauseSelectedButton, filterInput,
+      thresholdInput, pauseOverButton, protectedButton, dryRunToggle,
+    ];
+
+    // Every run saves an automatic snapshot and a history entry, so refresh both afterwards
+    // (declared as functions so the panels can be handed them before they are reached)
+    async function runBulk(actionType, options = {}) {
+      if (dryRunToggle.checked && !options.unattended) {
+        lastDryRunReport = await buildDryRunReport(actionType, options, options.scopeLabel);
+        renderDryRunReport(reportPanel, lastDryRunReport);
+        log(`Dry run (${actionType}): ${lastDryRunReport.queues.length} queue(s) would be submitted`, lastDryRunReport);
+        statusElement.textContent = `Dry run: ${lastDryRunReport.queues.length} queue(s) would be submitted (nothing POSTed)`;
+        statusElement.className = 'sqks-status';
+        return undefined;
+      }
+      const results = await handleBulkAction(actionType, statusElement, buttons, {
+        ...options,
+        onStart: () => {
+          if (options.onStart) options.onStart();
+          stopButton.disabled = false;
+          stopButton.hidden = false;
+          resume.hide();
+        },
+      });
+      stopButton.hidden = true;
+      await snapshots.refresh();
+      if (!historyPanel.hidden) {
+        await renderHistoryPanel(historyPanel);
+      }
+      return results;
+    }
+
+    async function runWithFilter(actionType, extraOptions = {}) {
+      const { matcher, patterns, error } = compileQueuePattern(filterInput.value);
+      if (error) {
+        statusElement.textContent = error;
+        statusElement.className = 'sqks-status sqks-status-error';
+        return undefined;
+      }
+      return runBulk(actionType, matcher ? {
+        ...extraOptions,
+        queueFilter: (entry) => matcher(entry.queueName),
+        filterPattern: patterns.join(' '),
+        scopeLabel: [extraOptions.scopeLabel, `matching "${patterns.join(' ')}"`].filter(Boolean).join(' '),
+      } : extraOptions);
+    }
+
+    // Focus the kill switch: scroll the bar into view and focus Pause All
+    const focusControls = () => {
+      controlContainer.scrollIntoView({ block: 'center' });
+      pauseButton.focus();
+      controlContainer.classList.add('sqks-controls-flash');
+      setTimeout(() => controlContainer.classList.remove('sqks-controls-flash'), 1500);
+    };
+
+    const ui = {
+      statusElement, stopButton, historyPanel, filterInput, dryRunToggle, buttons,
+      runBulk, runWithFilter, focusControls,
+    };
+    const snapshots = createSnapshotControls(ui);
+    const timedPause = createTimedPauseControls(ui);
+    const { broadcastState } = connectPopupBridge(ui);
+    const resume = createResumeControls(ui, { scheduleTimedPause: timedPause.schedule, broadcastState });
+    buttons.push(...timedPause.controls, ...snapshots.controls);
 
     pauseButton.addEventListener('click', () => {
-      handleBulkAction('pause', statusElement, buttons);
+      runWithFilter('pause');
+    });
+
+    stopButton.addEventListener('click', () => {
+      if (stopBulkAction()) {
+        stopButton.disabled = true;
+        statusElement.textContent = 'Stopping after the submissions in flight...';
+      }
     });
 
     unpauseButton.addEventListener('click', () => {
-      handleBulkAction('unpause', statusElement, buttons);
+      runWithFilter('unpause');
+    });
+
+    const runWithSelection = (actionType) => {
+      if (selectedQueueKeys.size === 0) {
+        statusElement.textContent = 'No queues selected';
+        statusElement.className = 'sqks-status sqks-status-error';
+        return;
+      }
+      // Snapshot the selection so checkbox changes mid-run don't alter the target set
+      const selection = new Set(selectedQueueKeys);
+      runBulk(actionType, {
+        queueFilter: (entry) => selection.has(entry.actionPathKey),
+        scopeLabel: 'in selection',
+      });
+    };
+
+    pauseOverButton.addEventListener('click', () => {
+      const { thresholds, error } = compileThresholds(thresholdInput.value);
+      if (error || !thresholds) {
+        statusElement.textContent = error || 'Enter a threshold first, e.g. latency>10m or size>50k';
+        statusElement.className = 'sqks-status sqks-status-error';
+        return;
+      }
+      runWithFilter('pause', {
+        thresholds,
+        scopeLabel: `over ${thresholds.label}`,
+      });
+    });
+
+    // Other tabs' runs change annotations too; every tab mirrors the stored ones
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes[getAnnotationKey()]) {
+        queueAnnotations = changes[getAnnotationKey()].newValue || {};
+        markAnnotatedRows();
+      }
+    });
+
+    // Arrow keys move between toolbar controls (text inputs keep their own arrow keys)
+    controlContainer.addEventListener('keydown', (event) => {
+      if (!['ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(event.key)) return;
+      if (event.target === filterInput || event.target === thresholdInput || event.target.tagName === 'SELECT') return;
+      const focusable = Array.from(controlContainer.querySelectorAll('button, input, select'))
+        .filter(el => !el.disabled && !el.closest('[hidden]'));
+      const index = focusable.indexOf(event.target);
+      if (index === -1) return;
+      const next = {
+        ArrowLeft: focusable[(index - 1 + focusable.length) % focusable.length],
+        ArrowRight: focusable[(index + 1) % focusable.length],
+        Home: focusable[0],
+        End: focusable[focusable.length - 1],
+      }[event.key];
+      event.preventDefault();
+      next.focus();
+    });
+
+    // Show the configured shortcuts (users can rebind them at chrome://extensions/shortcuts)
+    sendRuntimeMessage({ type: 'sqks:getShortcuts' }).then((shortcuts) => {
+      const shortcutTargets = { 'pause-all': pauseButton, 'unpause-all': unpauseButton };
+      for (const [command, button] of Object.entries(shortcutTargets)) {
+        const shortcut = shortcuts && shortcuts[command];
+        if (shortcut) {
+          button.title = `${button.title ? `${button.title} ` : ''}(${shortcut})`;
+          button.setAttribute('aria-keyshortcuts', shortcut.replace(/\s*\+\s*/g, '+'));
+        }
+      }
+    }).catch((error) => {
+      logVerbose('Could not read keyboard shortcuts:', error);
+    });
+
+    pauseSelectedButton.addEventListener('click', () => {
+      runWithSelection('pause');
+    });
+
+    unpauseSelectedButton.addEventListener('click', () => {
+      runWithSelection('unpause');
+    });
+
+    protectedButton.addEventListener('click', async () => {
+      const text = prompt(
+        `Protected queues for ${window.location.host} (never paused).\nGlobs or /regex/, separated by spaces or commas:`,
+        protectedPatterns.join(' ')
+      );
+      if (text === null) return;
+      const result = await saveProtectedQueues(text);
+      if (result.ok) {
+        markProtectedRows();
+        statusElement.textContent = protectedPatterns.length > 0
+          ? `Protected: ${protectedPatterns.join(' ')}`
+          : 'No protected queues';
+        statusElement.className = 'sqks-status';
+      } else {
+        statusElement.textContent = result.error;
+        statusElement.className = 'sqks-status sqks-status-error';
+      }
+    });
+
+    historyButton.addEventListener('click', async () => {
+      historyPanel.hidden = !historyPanel.hidden;
+      historyButton.setAttribute('aria-expanded', String(!historyPanel.hidden));
+      if (!historyPanel.hidden) {
+        await renderHistoryPanel(historyPanel);
+      }
+    });
+
+    diagnosticsButton.addEventListener('click', async () => {
+      const run = currentRun || lastRun || (await listRunHistory())[0];
+      if (!run) {
+        statusElement.textContent = 'No run to export yet';
+        statusElement.className = 'sqks-status';
+        return;
+      }
+      downloadDiagnostics(run);
+    });
+
+    downloadReportButton.addEventListener('click', () => {
+      if (lastDryRunReport) {
+        downloadJson(`sqks-dry-run-${lastDryRunReport.actionType}-${Date.parse(lastDryRunReport.generatedAt)}.json`, sanitizeData(lastDryRunReport));
+      }
+    });
+
+    closeReportButton.addEventListener('click', () => {
+      reportPanel.hidden = true;
+    });
+
+    clearHistoryButton.addEventListener('click', async () => {
+      if (!confirm(`Clear run history for ${getInstanceKey()}?`)) return;
+      await clearRunHistory();
+      await renderHistoryPanel(historyPanel);
     });
 
     // Assemble and inject
     controlContainer.appendChild(pauseButton);
     controlContainer.appendChild(unpauseButton);
+    controlContainer.appendChild(stopButton);
+    timedPause.controls.forEach(control => controlContainer.appendChild(control));
+    controlContainer.appendChild(thresholdInput);
+    controlContainer.appendChild(pauseOverButton);
+    controlContainer.appendChild(pauseSelectedButton);
+    controlContainer.appendChild(unpauseSelectedButton);
+    controlContainer.appendChild(filterInput);
+    snapshots.controls.forEach(control => controlContainer.appendChild(control));
+    controlContainer.appendChild(protectedButton);
+    controlContainer.appendChild(historyButton);
+    controlContainer.appendChild(diagnosticsButton);
+    controlContainer.appendChild(dryRunLabel);
     controlContainer.appendChild(statusElement);
-
-    // Insert after the header or at the beginning of the container
-    const h1 = headerContainer.querySelector('h1');
-    if (h1 && h1.nextSibling) {
-      headerContainer.insertBefore(controlContainer, h1.nextSibling);
+    controlContainer.appendChild(profileWarningElement);
+    controlContainer.appendChild(timedPause.bar);
+    resume.bars.forEach(bar => controlContainer.appendChild(bar));
+    controlContainer.appendChild(reportPanel);
+    controlContainer.appendChild(historyPanel);
+
+    // Insert after the heading, else above the table (unrecognized layouts fall back to <body>), else at the end
+    const heading = headerContainer.querySelector(getSelectorProfile().heading);
+    const table = findQueuesTable(document);
+    if (heading && heading.parentElement === headerContainer && heading.nextSibling) {
+      headerContainer.insertBefore(controlContainer, heading.nextSibling);
+    } else if (!heading && table && headerContainer.contains(table)) {
+      table.before(controlContainer);
     } else {
       headerContainer.appendChild(controlContainer);
     }
 
+    injectSelectionColumn((count) => {
+      pauseSelectedButton.textContent = `Pause Selected (${count})`;
+      unpauseSelectedButton.textContent = `Unpause Selected (${count})`;
+    });
+    snapshots.refresh();
+    markProtectedRows();
+    loadAnnotations().then(markAnnotatedRows);
+    timedPause.start();
+    resume.start();
+    const liveIndex = buildFormIndex(document);
+    reportQueueCounts(liveIndex);
+    renderOverview(liveIndex);
+    applyLatencyHeat(liveIndex);
+    tablePollEnabled = true;
+    scheduleTablePoll();
+
     log('Controls injected successfully');
   }
 
-  // Initialize
-  try {
-    injectControls();
-  } catch (error) {
-    logError('Failed to initialize:', error);
-  }
+  // Initialize (settings and protected queues load first so no run can start without them)
+  (async () => {
+    try {
+      await loadSettings();
+      await loadProtectedQueues();
+      injectControls();
+
+      // React to options page / other tab edits
+      chrome.storage.onChanged.addListener((changes, area) => {
+        if (area !== 'sync') return;
+        if (changes[SETTINGS_STORAGE_KEY]) {
+          applySettings(resolveSettings(changes[SETTINGS_STORAGE_KEY].newValue, window.location.host));
+          log(bulkActionInProgress ? 'Settings changed - will apply after this run' : 'Settings updated');
+        }
+        if (changes[PROTECTED_STORAGE_KEY]) {
+          const byHost = changes[PROTECTED_STORAGE_KEY].newValue || {};
+          if (applyProtectedPatterns(byHost[window.location.host] || '')) {
+            protectedListUnreadable = false;
+            markProtectedRows();
+          }
+        }
+      });
+    } catch (error) {
+      logError('Failed to initialize:', error);
+    }
+  })();
 })();
@@ -0,0 +1,215 @@
+/**
+ * Sidekiq Queue Kill Switch - Options Page
+ *
+ * Edits the engine settings stored in chrome.storage.sync (see settings.js).
+ * Global values override the built-in defaults; per-host values override
+ * the global ones for that host only. Also edits the extra Sidekiq mount
+ * locations, which the service worker registers as content scripts.
+ */
+
+import {
+  SETTING_DEFINITIONS,
+  DEFAULT_SETTINGS,
+  validateSettings,
+  loadStoredSettings,
+  saveStoredSettings,
+  parseMountEntries,
+  formatMountEntries,
+  mountPermissionOrigins,
+  loadStoredMounts,
+  saveStoredMounts,
+} from './settings.js';
+
+const globalContainer = document.getElementById('global-settings');
+const hostsContainer = document.getElementById('host-settings');
+const addHostForm = document.getElementById('add-host-form');
+const addHostInput = document.getElementById('add-host-input');
+const mountsInput = document.getElementById('mounts-input');
+const saveButton = document.getElementById('save-button');
+const resetButton = document.getElementById('reset-button');
+const statusElement = document.getElementById('options-status');
+const errorsElement = document.getElementById('options-errors');
+
+/**
+ * Render one input per setting into a grid container
+ *
+ * @param {HTMLElement} container - Grid to fill
+ * @param {Object} values - Current (sparse) values for this layer
+ * @param {Object} inherited - Values shown as placeholders when empty
+ */
+function renderSettingsGrid(container, values, inherited) {
+  container.replaceChildren();
+  for (const [key, def] of Object.entries(SETTING_DEFINITIONS)) {
+    const id = `${container.id || container.dataset.host}-${key}`;
+
+    const label = document.createElement('label');
+    label.className = 'sqks-setting-label';
+    label.htmlFor = id;
+    label.textContent = def.label;
+    const description = document.createElement('span');
+    description.className = 'sqks-setting-description';
+    description.textContent = `${def.description} (${def.min}–${def.max})`;
+    label.appendChild(description);
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.id = id;
+    input.dataset.setting = key;
+    input.min = String(def.min);
+    input.max = String(def.max);
+    input.step = '1';
+    input.placeholder = String(inherited[key]);
+    input.value = key in values ? String(values[key]) : '';
+
+    container.appendChild(label);
+    container.appendChild(input);
+  }
+}
+
+/**
+ * Read the raw values of a settings grid (empty inputs are omitted)
+ */
+function readSettingsGrid(container) {
+  const raw = {};
+  for (const input of container.querySelectorAll('input[data-setting]')) {
+    if (input.value.trim() !== '') {
+      raw[input.dataset.setting] = input.value.trim();
+    }
+  }
+  return raw;
+}
+
+function renderHost(host, values, inherited) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'sqks-host';
+  wrapper.dataset.host = host;
+
+  const header = document.createElement('div');
+  header.className = 'sqks-host-header';
+  const name = document.createElement('span');
+  name.textContent = host;
+  const removeButton = document.createElement('button');
+  removeButton.type = 'button';
+  removeButton.textContent = 'Remove';
+  removeButton.addEventListener('click', () => wrapper.remove());
+  header.appendChild(name);
+  header.appendChild(removeButton);
+
+  const grid = document.createElement('div');
+  grid.className = 'sqks-settings-grid';
+  grid.dataset.host = host;
+  renderSettingsGrid(grid, values, inherited);
+
+  wrapper.appendChild(header);
+  wrapper.appendChild(grid);
+  hostsContainer.appendChild(wrapper);
+}
+
+function render(stored) {
+  renderSettingsGrid(globalContainer, stored.global, DEFAULT_SETTINGS);
+  const inherited = { ...DEFAULT_SETTINGS, ...stored.global };
+  hostsContainer.replaceChildren();
+  for (const [host, values] of Object.entries(stored.hosts)) {
+    renderHost(host, values, inherited);
+  }
+}
+
+function showStatus(message, errors = []) {
+  statusElement.textContent = message;
+  errorsElement.replaceChildren(...errors.map(error => {
+    const item = document.createElement('li');
+    item.textContent = error;
+    return item;
+  }));
+  if (message) {
+    setTimeout(() => {
+      if (statusElement.textContent === message) statusElement.textContent = '';
+    }, 2500);
+  }
+}
+
+/**
+ * Collect and validate every layer; returns null (and shows errors) if invalid
+ */
+function collect() {
+  const errors = [];
+  const global = validateSettings(readSettingsGrid(globalContainer));
+  errors.push(...global.errors.map(error => `Defaults: ${error}`));
+
+  const hosts = {};
+  for (const grid of hostsContainer.querySelectorAll('.sqks-settings-grid')) {
+    const host = grid.dataset.host;
+    const result = validateSettings(readSettingsGrid(grid));
+    errors.push(...result.errors.map(error => `${host}: ${error}`));
+    hosts[host] = result.values;
+  }
+
+  const { mounts, errors: mountErrors } = parseMountEntries(mountsInput.value);
+  errors.push(...mountErrors.map(error => `Sidekiq locations: ${error}`));
+
+  if (errors.length > 0) {
+    showStatus('', errors);
+    return null;
+  }
+  return { global: global.values, hosts, mounts };
+}
+
+addHostForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  const host = addHostInput.value.trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/\/.*$/, '');
+  if (!host) return;
+  if (hostsContainer.querySelector(`.sqks-host[data-host="${CSS.escape(host)}"]`)) {
+    showStatus('', [`${host}: already has an override`]);
+    return;
+  }
+  const collected = collect() || { global: {} };
+  renderHost(host, {}, { ...DEFAULT_SETTINGS, ...collected.global });
+  addHostInput.value = '';
+});
+
+saveButton.addEventListener('click', async () => {
+  const collected = collect();
+  if (!collected) return;
+  try {
+    // Must be requested straight from the click (user gesture), before any other await
+    const origins = mountPermissionOrigins(collected.mounts);
+    const granted = origins.length === 0 || await chrome.permissions.request({ origins });
+    if (!granted) {
+      showStatus('', ['Sidekiq locations: site access was not granted, nothing was saved']);
+      return;
+    }
+    const previousOrigins = mountPermissionOrigins(await loadStoredMounts());
+    const saved = await saveStoredSettings(collected);
+    const mounts = await saveStoredMounts(collected.mounts);
+    render(saved);
+    mountsInput.value = formatMountEntries(mounts);
+
+    // Give back site access that only removed locations needed (e.g. all sites for a path-only mount)
+    const unused = previousOrigins.filter(origin => !origins.includes(origin));
+    if (unused.length > 0) {
+      await chrome.permissions.remove({ origins: unused });
+      // Revoking all-sites access also drops sites it covered that were never granted on their own
+      if (origins.length > 0 && !(await chrome.permissions.contains({ origins }))) {
+        showStatus('', ['Sidekiq locations: saved, but site access was reset; click Save again to grant it']);
+        return;
+      }
+    }
+    showStatus('Saved');
+  } catch (error) {
+    showStatus('', [`Save failed: ${error.message}`]);
+  }
+});
+
+resetButton.addEventListener('click', async () => {
+  if (!confirm('Reset all settings, including per-host overrides, to the built-in defaults?')) return;
+  const saved = await saveStoredSettings({ global: {}, hosts: {} });
+  render(saved);
+  showStatus('Reset to defaults');
+});
+
+loadStoredSettings().then(render);
+loadStoredMounts().then((mounts) => {
+  mountsInput.value = formatMountEntries(mounts);
+});
@@ -0,0 +1,199 @@
+/**
+ * Sidekiq Queue Kill Switch - Toolbar Popup
+ *
+ * Talks to the content script on the active tab: asks for its state
+ * (paused/active counts, run in progress), starts pause/unpause runs and
+ * shows the status updates the page streams while handleBulkAction runs
+ * (with a Stop button while a run is in progress). Runs in another tab of the
+ * same instance are only reported; the buttons stay disabled until they end.
+ * The run's confirmation (typed action word, reason and incident/ticket ID)
+ * is shown here instead of the page's dialog, which would take focus and
+ * close the popup.
+ */
+
+const unavailableElement = document.getElementById('popup-unavailable');
+const controlsElement = document.getElementById('popup-controls');
+const instanceElement = document.getElementById('popup-instance');
+const pausedElement = document.getElementById('popup-paused');
+const activeElement = document.getElementById('popup-active');
+const totalElement = document.getElementById('popup-total');
+const scopeElement = document.getElementById('popup-scope');
+const pauseButton = document.getElementById('popup-pause');
+const unpauseButton = document.getElementById('popup-unpause');
+const stopButton = document.getElementById('popup-stop');
+const confirmElement = document.getElementById('popup-confirm');
+const confirmMessageElement = document.getElementById('popup-confirm-message');
+const confirmHeadElement = document.getElementById('popup-confirm-head');
+const confirmQueuesElement = document.getElementById('popup-confirm-queues');
+const confirmReasonInput = document.getElementById('popup-confirm-reason');
+const confirmIncidentInput = document.getElementById('popup-confirm-incident');
+const confirmWordLabel = document.getElementById('popup-confirm-word-label');
+const confirmWordInput = document.getElementById('popup-confirm-word');
+const confirmYesButton = document.getElementById('popup-confirm-yes');
+const confirmNoButton = document.getElementById('popup-confirm-no');
+const statusElement = document.getElementById('popup-status');
+
+let activeTabId = null;
+let pendingConfirm = null;
+let pendingActionWord = '';
+
+/**
+ * Render the content script's state (see getPageState in contentScript.js)
+ */
+function render(state) {
+  unavailableElement.hidden = true;
+  controlsElement.hidden = false;
+
+  instanceElement.textContent = state.instance;
+  pausedElement.textContent = String(state.counts.paused);
+  activeElement.textContent = String(state.counts.active);
+  totalElement.textContent = String(state.counts.total);
+
+  const scope = [];
+  if (state.filter) scope.push(`Filter: ${state.filter}`);
+  if (state.dryRun) scope.push('Dry run is on (nothing will be submitted)');
+  if (state.runningElsewhere) scope.push(state.runningElsewhere);
+  scopeElement.textContent = scope.join(' · ');
+
+  const busy = state.running || !!state.runningElsewhere || !!pendingConfirm;
+  pauseButton.disabled = busy;
+  unpauseButton.disabled = busy;
+  stopButton.hidden = !state.running;
+  stopButton.disabled = !!state.stopping;
+
+  statusElement.textContent = state.status.text;
+  statusElement.className = `sqks-popup-status ${state.status.className}`;
+}
+
+function showUnavailable() {
+  unavailableElement.hidden = false;
+  controlsElement.hidden = true;
+}
+
+async function requestState() {
+  try {
+    render(await chrome.tabs.sendMessage(activeTabId, { type: 'sqks:getState' }));
+  } catch (error) {
+    // No content script on this tab (not a Sidekiq queues page)
+    showUnavailable();
+  }
+}
+
+async function startRun(actionType) {
+  pauseButton.disabled = true;
+  unpauseButton.disabled = true;
+  try {
+    const response = await chrome.tabs.sendMessage(activeTabId, { type: 'sqks:startRun', actionType });
+    if (!response || !response.started) {
+      statusElement.textContent = (response && response.error) || 'Could not start run';
+      statusElement.className = 'sqks-popup-status sqks-status-error';
+    }
+  } catch (error) {
+    showUnavailable();
+  }
+  await requestState();
+}
+
+async function stopRun() {
+  stopButton.disabled = true;
+  try {
+    await chrome.tabs.sendMessage(activeTabId, { type: 'sqks:stopRun' });
+  } catch (error) {
+    showUnavailable();
+  }
+  await requestState();
+}
+
+/**
+ * Render the run's preview rows (getConfirmPreview in contentScript.js): every queue
+ * it will submit with its size and latency, large unpause backlogs highlighted
+ */
+function renderConfirmQueues(actionType, queues) {
+  const columns = [
+    ['Queue', q => q.queueName],
+    ...(actionType === 'restore' ? [['Action', q => q.actionType]] : []),
+    ['Size', q => (q.size === null ? '—' : q.size.toLocaleString())],
+    ['Latency', q => q.latencyLabel || '—'],
+    ...(queues.some(q => q.reason) ? [['Chosen because', q => q.reason]] : []),
+  ];
+  confirmHeadElement.replaceChildren(...columns.map(([header]) => {
+    const th = document.createElement('th');
+    th.textContent = header;
+    return th;
+  }));
+  confirmQueuesElement.replaceChildren(...queues.map((queue) => {
+    const row = document.createElement('tr');
+    if (queue.backlog) {
+      row.className = 'sqks-popup-backlog';
+      row.title = 'Large backlog: released as soon as the queue is unpaused';
+    }
+    for (const [, cell] of columns) {
+      const td = document.createElement('td');
+      td.textContent = cell(queue);
+      row.appendChild(td);
+    }
+    return row;
+  }));
+}
+
+function answerConfirm(confirmed) {
+  if (!pendingConfirm) return;
+  // Same typed confirmation as the page dialog
+  if (confirmed && confirmWordInput.value.trim() !== pendingActionWord) return;
+  pendingConfirm({
+    confirmed,
+    reason: confirmReasonInput.value.trim(),
+    incident: confirmIncidentInput.value.trim(),
+  });
+  pendingConfirm = null;
+  confirmElement.hidden = true;
+  requestState();
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Only listen to the tab this popup was opened on
+  if (!message || !sender.tab || sender.tab.id !== activeTabId) return false;
+
+  if (message.type === 'sqks:status') {
+    render(message.state);
+    return false;
+  }
+  if (message.type === 'sqks:confirm') {
+    pendingConfirm = sendResponse;
+    confirmMessageElement.textContent = message.message;
+    renderConfirmQueues(message.actionType, message.queues || []);
+    confirmReasonInput.value = (message.defaults && message.defaults.reason) || '';
+    confirmIncidentInput.value = (message.defaults && message.defaults.incident) || '';
+    pendingActionWord = message.actionWord;
+    confirmWordLabel.textContent = `Type ${message.actionWord} to continue`;
+    confirmWordInput.value = '';
+    confirmYesButton.disabled = true;
+    confirmElement.hidden = false;
+    pauseButton.disabled = true;
+    unpauseButton.disabled = true;
+    confirmReasonInput.focus();
+    return true;  // Respond asynchronously
+  }
+  return false;
+});
+
+pauseButton.addEventListener('click', () => startRun('pause'));
+unpauseButton.addEventListener('click', () => startRun('unpause'));
+stopButton.addEventListener('click', stopRun);
+confirmYesButton.addEventListener('click', () => answerConfirm(true));
+confirmWordInput.addEventListener('input', () => {
+  confirmYesButton.disabled = confirmWordInput.value.trim() !== pendingActionWord;
+});
+confirmWordInput.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter') answerConfirm(true);
+});
+confirmNoButton.addEventListener('click', () => answerConfirm(false));
+
+chrome.tabs.query({ active: true, currentWindow: true }).then(([tab]) => {
+  if (!tab) {
+    showUnavailable();
+    return;
+  }
+  activeTabId = tab.id;
+  requestState();
+});
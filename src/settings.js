@@ -0,0 +1,263 @@
+/**
+ * Sidekiq Queue Kill Switch - Engine Settings and Sidekiq Locations
+ *
+ * Shared by the content script (bundled by Vite), the options page and the
+ * service worker (loaded as ES modules). Settings live in chrome.storage.sync as:
+ *
+ *   { global: { maxPasses: 8, ... }, hosts: { 'sidekiq.example.com': { postDelayMs: 250 } } }
+ *
+ * Values are layered defaults <- global <- hosts[host]. Any key missing from
+ * a layer inherits from the layer below, so overrides stay sparse.
+ */
+
+export const SETTINGS_STORAGE_KEY = 'sqks:settings';
+
+/**
+ * Setting definitions: default value and inclusive integer bounds
+ */
+export const SETTING_DEFINITIONS = {
+  maxPasses: {
+    label: 'Max convergence passes',
+    description: 'Maximum verification/retry passes per run',
+    default: 5,
+    min: 1,
+    max: 20,
+  },
+  postDelayMs: {
+    label: 'Delay between POSTs (ms)',
+    description: 'Pause between individual queue submissions',
+    default: 100,
+    min: 0,
+    max: 10000,
+  },
+  submitConcurrency: {
+    label: 'Concurrent submissions',
+    description: 'Queues submitted in parallel (each gets its own hidden frame); 1 = one at a time',
+    default: 1,
+    min: 1,
+    max: 16,
+  },
+  passDelayMs: {
+    label: 'Delay between passes (ms)',
+    description: 'Wait for server state to settle before re-checking',
+    default: 500,
+    min: 0,
+    max: 60000,
+  },
+  liveDomRecheckInterval: {
+    label: 'Live DOM recheck interval',
+    description: 'Re-check the live page every N submissions to skip queues already changed',
+    default: 4,
+    min: 1,
+    max: 1000,
+  },
+  iframeSubmitTimeoutMs: {
+    label: 'Form submit timeout (ms)',
+    description: 'How long to wait for each native form submission to load',
+    default: 6000,
+    min: 1000,
+    max: 120000,
+  },
+  debugLevel: {
+    label: 'Debug level',
+    description: '0 = quiet, 1 = summary/errors, 2 = verbose per-queue',
+    default: 2,
+    min: 0,
+    max: 2,
+  },
+  tablePollSeconds: {
+    label: 'Table refresh interval (s)',
+    description: 'Re-read the queues page every N seconds while the tab is visible and idle, updating the table in place; 0 = off',
+    default: 0,
+    min: 0,
+    max: 3600,
+  },
+  historyMaxRuns: {
+    label: 'Run history size',
+    description: 'Runs kept in the history panel per Sidekiq instance',
+    default: 25,
+    min: 1,
+    max: 200,
+  },
+  historyMaxAgeDays: {
+    label: 'Run history retention (days)',
+    description: 'Runs older than this are dropped from history',
+    default: 30,
+    min: 1,
+    max: 365,
+  },
+};
+
+export const DEFAULT_SETTINGS = Object.freeze(
+  Object.fromEntries(Object.entries(SETTING_DEFINITIONS).map(([key, def]) => [key, def.default]))
+);
+
+/**
+ * Validate a partial settings object
+ * Unknown keys are dropped; empty values mean "inherit" and are dropped too.
+ *
+ * @param {Object} raw - Partial settings (numbers or numeric strings)
+ * @returns {{ values: Object, errors: string[] }}
+ */
+export function validateSettings(raw) {
+  const values = {};
+  const errors = [];
+
+  for (const [key, value] of Object.entries(raw || {})) {
+    const def = SETTING_DEFINITIONS[key];
+    if (!def || value === '' || value === null || value === undefined) continue;
+
+    const number = Number(value);
+    if (!Number.isInteger(number)) {
+      errors.push(`${def.label}: must be a whole number`);
+    } else if (number < def.min || number > def.max) {
+      errors.push(`${def.label}: must be between ${def.min} and ${def.max}`);
+    } else {
+      values[key] = number;
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Normalize the stored settings object, dropping invalid values
+ */
+export function normalizeStoredSettings(stored) {
+  const hosts = {};
+  for (const [host, overrides] of Object.entries((stored && stored.hosts) || {})) {
+    const { values } = validateSettings(overrides);
+    if (host && Object.keys(values).length > 0) {
+      hosts[host] = values;
+    }
+  }
+  return {
+    global: validateSettings(stored && stored.global).values,
+    hosts,
+  };
+}
+
+/**
+ * Resolve effective settings for a host: defaults <- global <- host override
+ */
+export function resolveSettings(stored, host) {
+  const { global, hosts } = normalizeStoredSettings(stored);
+  return { ...DEFAULT_SETTINGS, ...global, ...(hosts[host] || {}) };
+}
+
+/**
+ * Read the stored settings object from chrome.storage.sync
+ */
+export async function loadStoredSettings() {
+  const result = await chrome.storage.sync.get(SETTINGS_STORAGE_KEY);
+  return normalizeStoredSettings(result[SETTINGS_STORAGE_KEY]);
+}
+
+/**
+ * Write the settings object to chrome.storage.sync (normalized first)
+ */
+export async function saveStoredSettings(stored) {
+  const normalized = normalizeStoredSettings(stored);
+  await chrome.storage.sync.set({ [SETTINGS_STORAGE_KEY]: normalized });
+  return normalized;
+}
+
+/**
+ * Extra Sidekiq Web locations, stored in chrome.storage.sync as a list of
+ * entries (one per line in the options page):
+ *
+ *   /admin/jobs                         mount path, any host
+ *   https://ops.example.com/ops/sidekiq origin + mount path
+ *   https://sidekiq.internal/           origin with Sidekiq mounted at the root
+ *
+ * The built-in manifest match (/sidekiq/queues on any host) always applies.
+ */
+export const MOUNTS_STORAGE_KEY = 'sqks:mounts';
+
+/**
+ * Parse mount entries into { origin, path } pairs
+ * origin is null for "any host"; path has no trailing slash ('' = root mount).
+ *
+ * @param {string} text - One entry per line (blank lines and # comments ignored)
+ * @returns {{ mounts: Array<{origin: string|null, path: string}>, errors: string[] }}
+ */
+export function parseMountEntries(text) {
+  const mounts = [];
+  const errors = [];
+
+  for (const rawLine of String(text || '').split('\n')) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) continue;
+
+    let origin = null;
+    let path = line;
+    if (/^[a-z]+:\/\//i.test(line)) {
+      let url;
+      try {
+        url = new URL(line);
+      } catch (error) {
+        errors.push(`${line}: not a valid URL`);
+        continue;
+      }
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        errors.push(`${line}: only http and https are supported`);
+        continue;
+      }
+      // Match patterns can't carry a port, so the host matches on any port
+      origin = `${url.protocol}//${url.hostname}`;
+      path = url.pathname;
+    }
+
+    if (!path.startsWith('/') || /[*?#\s]/.test(path)) {
+      errors.push(`${line}: mount path must start with / and contain no wildcards`);
+      continue;
+    }
+    path = path.replace(/\/+$/, '').replace(/\/queues$/, '');
+    if (!path && !origin) {
+      errors.push(`${line}: a root mount needs an origin (e.g. https://sidekiq.example.com/)`);
+      continue;
+    }
+    if (!mounts.some(m => m.origin === origin && m.path === path)) {
+      mounts.push({ origin, path });
+    }
+  }
+
+  return { mounts, errors };
+}
+
+/**
+ * Format mounts back into options page text
+ */
+export function formatMountEntries(mounts) {
+  return (mounts || []).map(m => (m.origin ? `${m.origin}${m.path || '/'}` : m.path)).join('\n');
+}
+
+/**
+ * Content script match patterns for the queues page under each mount
+ */
+export function mountMatchPatterns(mounts) {
+  return (mounts || []).map(m => `${m.origin || '*://*'}${m.path}/queues*`);
+}
+
+/**
+ * Host permissions needed to inject into each mount
+ */
+export function mountPermissionOrigins(mounts) {
+  return [...new Set((mounts || []).map(m => (m.origin ? `${m.origin}/*` : '*://*/*')))];
+}
+
+/**
+ * Read the stored mount list from chrome.storage.sync
+ */
+export async function loadStoredMounts() {
+  const result = await chrome.storage.sync.get(MOUNTS_STORAGE_KEY);
+  return result[MOUNTS_STORAGE_KEY] || [];
+}
+
+/**
+ * Write the mount list to chrome.storage.sync
+ */
+export async function saveStoredMounts(mounts) {
+  await chrome.storage.sync.set({ [MOUNTS_STORAGE_KEY]: mounts });
+  return mounts;
+}